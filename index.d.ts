@@ -1,9 +1,372 @@
 /* Any copyright is dedicated to the Public Domain.
  * http://creativecommons.org/publicdomain/zero/1.0/ */
 /// <reference path="./types.d.ts"/>
-import { CompatData } from './types';
+import {
+  BrowserNames,
+  BrowserEngines,
+  CompatData,
+  CompatStatement,
+  ReleaseStatement,
+  SimpleSupportStatement,
+  VersionValue,
+} from './types';
+
+/**
+ * The result of resolving the support of a feature in a browser release.
+ */
+interface SupportVerdict {
+  /**
+   * Whether the feature is supported in the release, or `"unknown"` if the data
+   * can't tell (for example `null` values, or releases before a `"≤"` range).
+   */
+  support: 'supported' | 'unsupported' | 'unknown';
+
+  /**
+   * The prefix needed to use the feature, if any.
+   */
+  prefix: string | null;
+
+  /**
+   * The name needed to use the feature, if it differs from the identifier.
+   */
+  alternative_name: string | null;
+
+  /**
+   * The flags needed to enable the feature, if any.
+   */
+  flags: SimpleSupportStatement['flags'] | null;
+
+  /**
+   * Whether the implementation diverges from the specification.
+   */
+  partial_implementation: boolean;
+
+  /**
+   * The support statement the verdict came from,
+   * or `null` if there is no data for the browser.
+   */
+  statement: SimpleSupportStatement | null;
+}
+
+interface CompatDataQuery {
+  /**
+   * Get the compat statement of a feature from its dotted identifier
+   * (e.g. `"api.Request.referrerPolicy"`), or `undefined` if the identifier
+   * only groups other features.
+   *
+   * Throws an error naming the closest existing identifier if it doesn't exist.
+   */
+  get(path: string): CompatStatement | undefined;
+
+  /**
+   * Check whether a dotted identifier exists.
+   */
+  has(path: string): boolean;
+
+  /**
+   * List the names of the subfeatures of a dotted identifier,
+   * or the categories if it is omitted.
+   *
+   * Throws an error naming the closest existing identifier if it doesn't exist.
+   */
+  children(path?: string): string[];
+
+  /**
+   * List the releases of a browser with their version number, oldest first.
+   */
+  getReleases(browser: BrowserNames | string): Release[];
+
+  /**
+   * Get the release number of the current release of a browser.
+   */
+  getCurrentRelease(browser: BrowserNames | string): string;
+
+  /**
+   * Get the release number of the newest release of a browser which was
+   * released on a date (a `Date` or `"YYYY-MM-DD"`), or `null` if there was none yet.
+   */
+  getReleaseAt(
+    browser: BrowserNames | string,
+    date: Date | string,
+  ): string | null;
+
+  /**
+   * List the release numbers of the beta, nightly and planned releases of a browser.
+   */
+  getUpcomingReleases(browser: BrowserNames | string): string[];
+
+  /**
+   * Get the engine a release of a browser is built on, or `null` if it isn't known.
+   */
+  getEngine(
+    browser: BrowserNames | string,
+    version: string,
+  ): { engine: BrowserEngines; engine_version: string } | null;
+
+  /**
+   * Get the release number of the first release of a browser built on at least
+   * a version of an engine, or `null` if there is none.
+   */
+  getReleaseForEngine(
+    browser: BrowserNames | string,
+    engine: BrowserEngines | string,
+    engineVersion: string,
+  ): string | null;
+
+  /**
+   * Map a release of a browser to the first release of another browser
+   * built on the same engine version (e.g. `mapRelease("chrome", "80", "opera")`
+   * returns `"67"`), or `null` if there is none.
+   */
+  mapRelease(
+    browser: BrowserNames | string,
+    version: string,
+    otherBrowser: BrowserNames | string,
+  ): string | null;
+
+  /**
+   * Resolve whether a feature is supported in a release of a browser
+   * (e.g. `resolveSupport("api.Request.referrerPolicy", "chrome", "80")`).
+   *
+   * Throws an error if the feature, browser or release doesn't exist.
+   */
+  resolveSupport(
+    path: string,
+    browser: BrowserNames | string,
+    version: string,
+  ): SupportVerdict;
+
+  /**
+   * List the features which are unsupported, unknown, only supported behind a flag,
+   * or only supported with a prefix or alternative name in at least one release
+   * of the targets (e.g. `"chrome >= 80, firefox >= 78, safari_ios >= 13"`),
+   * up to their current release.
+   *
+   * The features can be limited to a category or subtree with a dotted identifier.
+   */
+  compatReport(
+    targets: string | string[] | Target[],
+    path?: string,
+  ): ReportEntry[];
+
+  /**
+   * Iterate over the features below (and including) a dotted identifier,
+   * or over all categories if it is omitted, parents before their subfeatures.
+   * The `browsers` namespace is always skipped.
+   *
+   * Throws an error naming the closest existing identifier if it doesn't exist.
+   */
+  walk(path?: string, options?: WalkOptions): IterableIterator<WalkEntry>;
+
+  /**
+   * Search features by name, prefixed or alternative name (e.g. `"-moz-appearance"`),
+   * identifier, description, notes and MDN URL, best matches first.
+   *
+   * Every word of the query must match. If no feature matches, features whose
+   * names are spelled similarly are returned instead, marked `fuzzy`.
+   */
+  search(query: string, options?: SearchOptions): SearchResult[];
+
+  /**
+   * Suggest the indexed name closest to a query which had no results,
+   * or `null` if there is none.
+   */
+  suggest(query: string, options?: { categories?: string[] }): string | null;
+
+  /**
+   * Find the canonical features of a prefixed or alternative name
+   * (e.g. `"-webkit-box-shadow"` or `"mozIndexedDB"`), with the releases of each
+   * browser in which it was supported. The name is matched exactly first,
+   * then ignoring case.
+   */
+  lookupAlias(name: string): AliasMatch[];
+
+  /**
+   * Find the features whose `mdn_url` points to a page, whatever the locale,
+   * trailing slash or case of the URL (e.g. `"/en-US/docs/Web/CSS/appearance/"`).
+   * Without a section (`#…`), the features pointing to sections of the page
+   * are found as well.
+   *
+   * Throws an error if the URL isn't the URL of an MDN page.
+   */
+  lookupMdnUrl(url: string): MdnUrlMatch[];
+
+  /**
+   * List the pages (and sections) which several features point to.
+   */
+  getSharedMdnUrls(): { mdn_url: string; paths: string[] }[];
+}
+
+/**
+ * A feature visited by `walk()`.
+ */
+interface WalkEntry {
+  /**
+   * The dotted identifier of the feature.
+   */
+  path: string;
+
+  compat: CompatStatement;
+
+  /**
+   * The dotted identifier of the parent of the feature,
+   * or `null` for the top level.
+   */
+  parentPath: string | null;
+}
+
+interface WalkOptions {
+  /**
+   * How many levels below the starting identifier to descend,
+   * where its direct subfeatures are at depth 1. Unlimited by default.
+   */
+  depth?: number;
+
+  /**
+   * Only walk these categories.
+   */
+  categories?: string[];
+
+  /**
+   * Only yield the features for which this returns `true`.
+   * Their subfeatures are walked either way.
+   */
+  filter?: (entry: WalkEntry) => boolean;
+}
+
+/**
+ * A feature found by `search()`.
+ */
+interface SearchResult {
+  /**
+   * The dotted identifier of the feature.
+   */
+  path: string;
+
+  /**
+   * How well the feature matches; higher is better.
+   */
+  score: number;
+
+  /**
+   * The fields which matched.
+   */
+  fields: ('identifier' | 'name' | 'mdn_url' | 'description' | 'notes')[];
+
+  /**
+   * Whether the feature only matches a misspelling of the query.
+   */
+  fuzzy: boolean;
+}
+
+interface SearchOptions {
+  /**
+   * The maximum number of results. 20 by default.
+   */
+  limit?: number;
+
+  /**
+   * Only search these categories.
+   */
+  categories?: string[];
+
+  /**
+   * Whether to look for misspellings when nothing matches. `true` by default.
+   */
+  fuzzy?: boolean;
+}
+
+/**
+ * A feature using a prefixed or alternative name, found by `lookupAlias()`.
+ */
+interface AliasMatch {
+  /**
+   * The name as it is spelled in the data.
+   */
+  alias: string;
+
+  /**
+   * The dotted identifier of the canonical feature.
+   */
+  path: string;
+
+  /**
+   * The releases of each browser in which the name was supported.
+   */
+  browsers: {
+    [browser: string]: {
+      version_added: VersionValue;
+      version_removed?: VersionValue;
+      flags?: SimpleSupportStatement['flags'];
+    }[];
+  };
+}
+
+/**
+ * A feature found by `lookupMdnUrl()`.
+ */
+interface MdnUrlMatch {
+  /**
+   * The dotted identifier of the feature.
+   */
+  path: string;
+
+  /**
+   * The `mdn_url` of the feature, as it is in the data.
+   */
+  mdn_url: string;
+
+  /**
+   * Whether other features point to the same page (and section), which usually
+   * means that the data should be split.
+   */
+  shared: boolean;
+}
+
+/**
+ * A release of a browser.
+ */
+interface Release extends ReleaseStatement {
+  /**
+   * The release number (e.g. `"80"`).
+   */
+  version: string;
+}
+
+/**
+ * A browser release to support, and every release after it.
+ */
+interface Target {
+  browser: BrowserNames | string;
+  version: string;
+}
+
+/**
+ * A feature with issues in at least one target.
+ */
+interface ReportEntry {
+  /**
+   * The dotted identifier of the feature.
+   */
+  path: string;
+
+  /**
+   * The most severe issue of the feature in each target that has one.
+   */
+  issues: {
+    browser: BrowserNames | string;
+
+    /**
+     * The first release of the target with the issue.
+     */
+    version: string;
+
+    issue: 'unsupported' | 'unknown' | 'flag' | 'prefix' | 'alternative_name';
+    verdict: SupportVerdict;
+  }[];
+}
 
 // This is necessary to have intellisense in projects which
 // import data from this package.
-declare const compatData: CompatData;
+declare const compatData: CompatData & CompatDataQuery;
 export = compatData;
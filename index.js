@@ -1,7 +1,14 @@
 'use strict';
-const fs = require('fs');
-const path = require('path');
-const extend = require('extend');
+const aliases = require('./utils/aliases.js');
+const { BUILD_DIR, loadLazily } = require('./utils/load.js');
+const mdnUrls = require('./utils/mdn-urls.js');
+const { CATEGORIES } = require('./utils/registry.js');
+const query = require('./utils/query.js');
+const releases = require('./utils/releases.js');
+const report = require('./utils/report.js');
+const search = require('./utils/search.js');
+const support = require('./utils/support.js');
+const { walk } = require('./utils/walk.js');
 
 function warnPackageName() {
   if (!warnPackageName.emitted) {
@@ -32,48 +39,69 @@ function warnNode8Deprecation() {
 warnPackageName();
 warnNode8Deprecation();
 
-function load() {
-  // Recursively load one or more directories passed as arguments.
-  let dir,
-    result = {};
+// Each category is only loaded when it is first accessed, so that
+// consumers of a single category don't pay for loading the others.
+// Prebuilt bundles from `npm run build` are used when they exist.
+//
+// With BCD_STRICT=true, the JSON files are always loaded, and a file
+// which is broken or redefines what another file defines throws an error
+// instead of being skipped or silently overwriting the other file.
+const strict = String(process.env.BCD_STRICT).toLowerCase() === 'true';
+const data = loadLazily(CATEGORIES, { strict });
 
-  function processFilename(fn) {
-    const fp = path.join(dir, fn);
-    let extra;
+// The query, release, support, report, walk, search, alias and MDN URL
+// functions are not enumerable so that they don't show up when iterating over (or
+// serializing) the data itself. The alias index is read from the prebuilt
+// `build/aliases.json` when it exists, like the bundles.
+Object.defineProperties(data, {
+  get: { value: path => query.get(data, path) },
+  has: { value: path => query.has(data, path) },
+  children: { value: path => query.children(data, path) },
+  getReleases: { value: browser => releases.getReleases(data, browser) },
+  getCurrentRelease: {
+    value: browser => releases.getCurrentRelease(data, browser),
+  },
+  getReleaseAt: {
+    value: (browser, date) => releases.getReleaseAt(data, browser, date),
+  },
+  getUpcomingReleases: {
+    value: browser => releases.getUpcomingReleases(data, browser),
+  },
+  getEngine: {
+    value: (browser, version) => releases.getEngine(data, browser, version),
+  },
+  getReleaseForEngine: {
+    value: (browser, engine, engineVersion) =>
+      releases.getReleaseForEngine(data, browser, engine, engineVersion),
+  },
+  mapRelease: {
+    value: (browser, version, otherBrowser) =>
+      releases.mapRelease(data, browser, version, otherBrowser),
+  },
+  resolveSupport: {
+    value: (path, browser, version) =>
+      support.resolveSupport(data, path, browser, version),
+  },
+  compatReport: {
+    value: (targets, path) => report.compatReport(data, targets, path),
+  },
+  walk: {
+    value: (path, options) =>
+      walk(
+        query.lookup(data, path),
+        Object.assign({}, options, { path: path || '' }),
+      ),
+  },
+  search: { value: (text, options) => search.search(data, text, options) },
+  suggest: {
+    value: (text, options) => search.suggest(data, text, options),
+  },
+  lookupAlias: {
+    value: name =>
+      aliases.lookupAlias(data, name, { buildDir: strict ? null : BUILD_DIR }),
+  },
+  lookupMdnUrl: { value: url => mdnUrls.lookupMdnUrl(data, url) },
+  getSharedMdnUrls: { value: () => mdnUrls.getSharedMdnUrls(data) },
+});
 
-    // If the given filename is a directory, recursively load it.
-    if (fs.statSync(fp).isDirectory()) {
-      extra = load(fp);
-    } else if (path.extname(fp) === '.json') {
-      try {
-        extra = require(fp);
-      } catch (e) {}
-    }
-
-    // The JSON data is independent of the actual file
-    // hierarchy, so it is essential to extend "deeply".
-    result = extend(true, result, extra);
-  }
-
-  for (dir of arguments) {
-    dir = path.resolve(__dirname, dir);
-    fs.readdirSync(dir).forEach(processFilename);
-  }
-
-  return result;
-}
-
-module.exports = load(
-  'api',
-  'browsers',
-  'css',
-  'html',
-  'http',
-  'javascript',
-  'mathml',
-  'svg',
-  'webdriver',
-  'webextensions',
-  'xpath',
-  'xslt',
-);
+module.exports = data;
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const { buildAliasIndex } = require('../utils/aliases.js');
+const { BUILD_DIR, load } = require('../utils/load.js');
+const { CATEGORIES } = require('../utils/registry.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ */
+
+/**
+ * Serialize compat data the way it is written to the bundles
+ *
+ * @param {object} data The data to serialize
+ * @returns {string}
+ */
+const serialize = data => JSON.stringify(data);
+
+/**
+ * Get the bundles to write: the merged data of every category in
+ * `data.json`, the data of each category in `<category>.json`, and the
+ * index of prefixed and alternative names in `aliases.json`
+ *
+ * @param {CompatData} data The merged data of every category
+ * @returns {[string, object][]} The file names and contents of the bundles
+ */
+const getBundles = data => [
+  ['data.json', data],
+  ...CATEGORIES.map(category => [
+    `${category}.json`,
+    { [category]: data[category] },
+  ]),
+  ['aliases.json', buildAliasIndex(data)],
+];
+
+/**
+ * Write the bundles of `getBundles()` to the output directory
+ *
+ * @param {string} [outDir] The directory to write the bundles to
+ * @returns {string[]} The paths of the files written
+ * @throws {Error} If a data file is not valid JSON or redefines what another file defines
+ */
+const build = (outDir = BUILD_DIR) => {
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir);
+  }
+
+  return getBundles(load(CATEGORIES, { strict: true })).map(
+    ([name, contents]) => {
+      const file = path.join(outDir, name);
+      fs.writeFileSync(file, serialize(contents), 'utf-8');
+      return file;
+    },
+  );
+};
+
+if (require.main === module) {
+  const files = build();
+  console.log(
+    chalk`{green Wrote {bold ${files.length}} bundles to {bold ${path.relative(
+      process.cwd(),
+      BUILD_DIR,
+    )}/}}`,
+  );
+}
+
+module.exports = { build, getBundles, serialize };
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const chalk = require('chalk');
+
+const { diffData, renderMarkdown } = require('../utils/diff.js');
+const { ROOT_DIR } = require('../utils/load.js');
+const { CATEGORIES } = require('../utils/registry.js');
+const { loadSnapshot } = require('../utils/snapshot.js');
+
+/**
+ * Compare two snapshots of the data and render what changed
+ *
+ * @param {string} before The first snapshot: a directory, bundle file or git ref
+ * @param {string} after The second snapshot: a directory, bundle file or git ref
+ * @param {object} [options]
+ * @param {'markdown'|'json'} [options.format] The output format
+ * @param {string[]} [options.categories] The categories to compare
+ * @returns {string}
+ */
+const diffSnapshots = (
+  before,
+  after,
+  { format = 'markdown', categories = CATEGORIES } = {},
+) => {
+  const diff = diffData(
+    loadSnapshot(before, { categories }),
+    loadSnapshot(after, { categories }),
+  );
+  return format === 'json'
+    ? JSON.stringify(diff, null, 2)
+    : renderMarkdown(diff);
+};
+
+if (require.main === module) {
+  const { argv } = require('yargs').command(
+    '$0 <before> [after]',
+    'Compare two snapshots of the data and print what changed',
+    yargs => {
+      yargs
+        .positional('before', {
+          describe:
+            'The first snapshot: a checkout, a bundle file (ex. "build/data.json") or a git ref (ex. "v1.1.0")',
+          type: 'string',
+        })
+        .positional('after', {
+          describe: 'The second snapshot, the working tree by default',
+          type: 'string',
+          default: ROOT_DIR,
+          defaultDescription: 'the working tree',
+        })
+        .option('format', {
+          describe: 'The output format',
+          choices: ['markdown', 'json'],
+          default: 'markdown',
+        })
+        .option('folder', {
+          describe: 'The folder(s) to compare, separated by commas',
+          type: 'string',
+        });
+    },
+  );
+
+  try {
+    console.log(
+      diffSnapshots(argv.before, argv.after, {
+        format: argv.format,
+        categories: argv.folder ? argv.folder.split(',') : undefined,
+      }),
+    );
+  } catch (e) {
+    console.error(chalk`{red.bold ${e.message}}`);
+    process.exit(1);
+  }
+}
+
+module.exports = diffSnapshots;
@@ -4,6 +4,7 @@ const path = require('path');
 const fixBrowserOrder = require('./fix-browser-order');
 const fixFeatureOrder = require('./fix-feature-order');
 const format = require('./fix-format');
+const { FEATURE_CATEGORIES } = require('../utils/registry.js');
 
 /**
  * @param {string[]} files
@@ -39,18 +40,7 @@ function load(...files) {
 if (process.argv[2]) {
   load(process.argv[2]);
 } else {
-  load(
-    'api',
-    'css',
-    'html',
-    'http',
-    'svg',
-    'javascript',
-    'mathml',
-    'test',
-    'webdriver',
-    'webextensions',
-  );
+  load(...FEATURE_CATEGORIES);
 
   format();
 }
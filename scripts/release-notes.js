@@ -1,26 +1,12 @@
 const { execSync } = require('child_process');
+const fs = require('fs');
 const http = require('https');
-const readline = require('readline');
 const chalk = require('chalk');
 
-const bcd = require('..');
-
-const { argv } = require('yargs').command(
-  '$0 <version-tag>',
-  'Initiate a release of this package on GitHub',
-  yargs => {
-    yargs.positional('version-tag', {
-      describe: 'the version tag to generate release notes for',
-      type: 'string',
-    });
-    yargs.option('p', {
-      alias: 'previous',
-      requiresArg: true,
-      describe: 'the previous version tag',
-      type: 'string',
-    });
-  },
-);
+const { diffData, diffReleases, renderSummary } = require('../utils/diff.js');
+const { ROOT_DIR } = require('../utils/load.js');
+const { loadSnapshot } = require('../utils/snapshot.js');
+const { walk } = require('../utils/walk.js');
 
 const getJSON = url =>
   new Promise((resolve, reject) =>
@@ -40,93 +26,150 @@ const getJSON = url =>
     ),
   );
 
-const question = query => {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-  return new Promise(resolve => rl.question(query, resolve)).then(response => {
-    rl.close();
-    return response;
-  });
-};
-
-const confirm = str => !['n', 'no'].includes(str.toLowerCase());
-
-const prompt = async questions => {
-  const results = {};
-  for (const q of questions) {
-    const options = q.type === confirm ? '(Y/n) ' : '';
-    results[q.name] = await question(`${q.message} ${options}`).then(q.type);
-  }
-  return results;
-};
-
 const stargazers = () =>
   getJSON('https://api.github.com/repos/mdn/browser-compat-data').then(
     json => json.stargazers_count,
   );
 
-const stats = (version, previousVersion) => {
+/**
+ * Get the statistics of the commits between two tags
+ *
+ * @param {string} version The version tag
+ * @param {string} previousVersion The previous version tag
+ * @param {string} [cwd] The git repository (this repository by default)
+ * @returns {{commits: number, changed: number, insertions: number, deletions: number}}
+ */
+const stats = (version, previousVersion, cwd = ROOT_DIR) => {
   // Get just the diff stats summary
   const diff = execSync(
     `git diff --shortstat ${previousVersion}...${version}`,
-    { encoding: 'utf8' },
+    { cwd, encoding: 'utf8' },
   ).trim();
-  // Extract the numbers from a line like this:
+  // Extract the numbers from a line like this, where the insertions or the
+  // deletions are left out if there are none:
   // 50 files changed, 1988 insertions(+), 2056 deletions(-)
-  const [, changed, insertions, deletions] = diff.match(
-    /(\d+) files* changed, (\d+) insertions*\(\+\), (\d+) deletions*/,
-  );
+  const count = pattern => {
+    const match = diff.match(pattern);
+    return match ? Number(match[1]) : 0;
+  };
 
   // Get the number of commits
   const commits = execSync(
     `git rev-list --count ${previousVersion}...${version}`,
-    { encoding: 'utf8' },
+    { cwd, encoding: 'utf8' },
   ).trim();
 
   return {
-    commits,
-    changed,
-    insertions,
-    deletions,
+    commits: Number(commits),
+    changed: count(/(\d+) files? changed/),
+    insertions: count(/(\d+) insertions?\(\+\)/),
+    deletions: count(/(\d+) deletions?\(-\)/),
   };
 };
 
-const contributors = (version, previousVersion) =>
-  prompt([
-    {
-      name: 'releaseContributors',
-      type: Number,
-      message: `Find "contributors" at https://github.com/mdn/browser-compat-data/compare/${previousVersion}...${version}\nHow many people have contributed to this release?`,
-    },
-    {
-      name: 'totalContributors',
-      type: Number,
-      message:
-        'Find "contributors" at https://github.com/mdn/browser-compat-data/\nHow many people have contributed to browser-compat-data overall?',
-    },
-  ]);
-
-const notableChanges = previousReleaseDate => {
-  const searchUrl = new URL('https://github.com/mdn/browser-compat-data/pulls');
-  const querySafeDate = previousReleaseDate.replace('+', '%2B');
-  searchUrl.search = `q=is:pr merged:>=${querySafeDate} label:"needs-release-note :newspaper:"`;
+/**
+ * Count the authors of some commits, by email address
+ *
+ * @param {string} range The commits, as a git revision range (e.g. "v1.0.0..v1.0.1")
+ * @param {string} [cwd] The git repository (this repository by default)
+ * @returns {number}
+ */
+const countAuthors = (range, cwd = ROOT_DIR) =>
+  new Set(
+    execSync(`git log --format=%aE ${range}`, { cwd, encoding: 'utf8' })
+      .split('\n')
+      .filter(email => email)
+      .map(email => email.toLowerCase()),
+  ).size;
 
-  return `SUMMARIZE THESE PRs: ${searchUrl.href}`;
-};
+/**
+ * Count the contributors to a release and to all releases so far, from the
+ * authors of the commits. Counts which are given aren't counted again.
+ *
+ * @param {string} version The version tag
+ * @param {string} previousVersion The previous version tag
+ * @param {{releaseContributors?: number, totalContributors?: number}} [counts] The counts which are already known
+ * @param {string} [cwd] The git repository (this repository by default)
+ * @returns {{releaseContributors: number, totalContributors: number}}
+ */
+const contributors = (
+  version,
+  previousVersion,
+  counts = {},
+  cwd = ROOT_DIR,
+) => ({
+  releaseContributors:
+    counts.releaseContributors === undefined
+      ? countAuthors(`${previousVersion}..${version}`, cwd)
+      : counts.releaseContributors,
+  totalContributors:
+    counts.totalContributors === undefined
+      ? countAuthors(version, cwd)
+      : counts.totalContributors,
+});
 
-const countFeatures = () => {
-  let count = 0;
-  JSON.parse(JSON.stringify(bcd), k => {
-    if (k === '__compat') {
-      count++;
-    }
-    return count;
+/**
+ * Summarize the notable changes between two snapshots of the compat data
+ *
+ * @param {object} before The compat data of the previous version
+ * @param {object} after The compat data of the version
+ * @returns {string}
+ */
+const notableChanges = (before, after) =>
+  renderSummary(diffData(before, after), {
+    releases: diffReleases(before, after),
+    browsers: after.browsers,
   });
-  return count;
-};
 
+/**
+ * Count the features of the compat data
+ *
+ * @param {object} data The compat data
+ * @returns {number}
+ */
+const countFeatures = data => Array.from(walk(data)).length;
+
+/**
+ * Write the body of the release notes
+ *
+ * @param {object} notes
+ * @param {string} notes.version The version tag
+ * @param {string} notes.previousVersion The previous version tag
+ * @param {string} notes.changes The notable changes, as a Markdown list
+ * @param {{commits: number, changed: number, insertions: number, deletions: number}} notes.stats The statistics of the commits
+ * @param {number} notes.releaseContributors The number of contributors to the release
+ * @param {number} notes.totalContributors The number of contributors to all releases
+ * @param {number} notes.features The number of features
+ * @param {number|null} notes.stars The number of stargazers, or null to leave it out
+ * @returns {string}
+ */
+const releaseBody = ({
+  version,
+  previousVersion,
+  changes,
+  stats: { commits, changed, insertions, deletions },
+  releaseContributors,
+  totalContributors,
+  features,
+  stars,
+}) =>
+  `\
+**Notable changes**
+${changes}
+
+**Statistics**
+- ${releaseContributors} contributors have changed ${changed} files with ${insertions} additions and ${deletions} deletions in ${commits} commits (https://github.com/mdn/browser-compat-data/compare/${previousVersion}...${version})
+- ${features} total features
+- ${totalContributors} total contributors` +
+  (stars === null ? '' : `\n- ${stars} total stargazers`);
+
+/**
+ * Get the URL of a new GitHub release with a body
+ *
+ * @param {string} version The version tag
+ * @param {string} body The body of the release notes
+ * @returns {string}
+ */
 const makeURL = (version, body) => {
   const baseURL = 'https://github.com/mdn/browser-compat-data/releases/new';
 
@@ -139,45 +182,104 @@ const makeURL = (version, body) => {
   return `${baseURL}?title=${version}&tag=${version}&body=${encodedBody}`;
 };
 
-const main = async () => {
+const main = async argv => {
   const version = argv.versionTag;
   const previousVersion =
     argv.previous ||
     execSync(`git describe --abbrev=0 ${version}^`, {
+      cwd: ROOT_DIR,
       encoding: 'utf8',
     }).trim();
-  const previousReleaseDate = execSync(
-    `git log -1 --format=%aI ${previousVersion}`,
-    {
-      encoding: 'utf8',
-    },
-  ).trim();
 
-  const { commits, changed, insertions, deletions } = stats(
+  const before = loadSnapshot(previousVersion);
+  const after = loadSnapshot(version);
+  const counts = contributors(version, previousVersion, {
+    releaseContributors: argv.contributors,
+    totalContributors: argv.totalContributors,
+  });
+  const body = releaseBody({
     version,
     previousVersion,
-  );
+    changes: notableChanges(before, after),
+    stats: stats(version, previousVersion),
+    releaseContributors: counts.releaseContributors,
+    totalContributors: counts.totalContributors,
+    features: countFeatures(after),
+    stars:
+      argv.stars === undefined
+        ? argv.offline
+          ? null
+          : await stargazers()
+        : argv.stars,
+  });
 
-  const { releaseContributors, totalContributors } = await contributors(
-    version,
-    previousVersion,
-  );
-  const changeMessage = notableChanges(previousReleaseDate);
-  const stars = await stargazers();
-  const features = countFeatures();
+  if (argv.output) {
+    fs.writeFileSync(argv.output, `${body}\n`, 'utf-8');
+    console.log(chalk.bold(`\nWrote the release notes to ${argv.output}`));
+  } else {
+    console.log(chalk.bold('\nOpen this URL in a browser:'));
+    console.log(makeURL(version, body));
+  }
+};
 
-  const body = `\
-**Notable changes**
-- ${changeMessage}
+if (require.main === module) {
+  const { argv } = require('yargs').command(
+    '$0 <version-tag>',
+    'Initiate a release of this package on GitHub',
+    yargs => {
+      yargs.positional('version-tag', {
+        describe: 'the version tag to generate release notes for',
+        type: 'string',
+      });
+      yargs.option('p', {
+        alias: 'previous',
+        requiresArg: true,
+        describe: 'the previous version tag',
+        type: 'string',
+      });
+      yargs.option('stars', {
+        requiresArg: true,
+        describe: 'the number of stargazers, instead of asking GitHub',
+        type: 'number',
+      });
+      yargs.option('offline', {
+        describe:
+          "don't access the network; leaves out the stargazers unless --stars is given",
+        type: 'boolean',
+        default: false,
+      });
+      yargs.option('contributors', {
+        requiresArg: true,
+        describe:
+          'the number of contributors to this release, instead of counting the authors of its commits',
+        type: 'number',
+      });
+      yargs.option('total-contributors', {
+        requiresArg: true,
+        describe:
+          'the number of contributors overall, instead of counting the authors of all commits',
+        type: 'number',
+      });
+      yargs.option('o', {
+        alias: 'output',
+        requiresArg: true,
+        describe: 'write the release notes to a file instead of printing a URL',
+        type: 'string',
+      });
+    },
+  );
 
-**Statistics**
-- ${releaseContributors} contributors have changed ${changed} files with ${insertions} additions and ${deletions} deletions in ${commits} commits (https://github.com/mdn/browser-compat-data/compare/${previousVersion}...${version})
-- ${features} total features
-- ${totalContributors} total contributors
-- ${stars} total stargazers`;
+  main(argv).catch(e => {
+    console.error(chalk`{red.bold ${e.message}}`);
+    process.exit(1);
+  });
+}
 
-  console.log(chalk.bold('\nOpen this URL in a browser:'));
-  console.log(makeURL(version, body));
+module.exports = {
+  stats,
+  countAuthors,
+  contributors,
+  countFeatures,
+  releaseBody,
+  makeURL,
 };
-
-main();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const chalk = require('chalk');
+
+const bcd = require('..');
+const { compatReport } = require('../utils/report.js');
+
+/**
+ * @typedef {import('../utils/report.js').Issue} Issue
+ * @typedef {import('../utils/report.js').ReportEntry} ReportEntry
+ */
+
+/**
+ * Describe an issue of a feature in words
+ *
+ * @param {Issue} issue The issue to describe
+ * @returns {string}
+ */
+const describeIssue = ({ issue, verdict }) => {
+  switch (issue) {
+    case 'flag':
+      return `behind a flag (${verdict.flags
+        .map(flag => flag.name)
+        .join(', ')})`;
+    case 'prefix':
+      return `prefixed (${verdict.prefix})`;
+    case 'alternative_name':
+      return `alternative name (${verdict.alternative_name})`;
+    default:
+      return issue;
+  }
+};
+
+/**
+ * Print a compatibility report, grouped by feature
+ *
+ * @param {ReportEntry[]} report The report to print
+ * @returns {void}
+ */
+const printReport = report => {
+  for (const { path, issues } of report) {
+    console.log(chalk.bold(path));
+    for (const issue of issues) {
+      console.log(
+        `  ${issue.browser} ${issue.version}: ${describeIssue(issue)}`,
+      );
+    }
+  }
+
+  console.log(
+    `\n${report.length} ${
+      report.length === 1 ? 'feature' : 'features'
+    } with issues`,
+  );
+};
+
+if (require.main === module) {
+  const { argv } = require('yargs').command(
+    '$0 <targets> [feature]',
+    'List the features which are unsupported, unknown, only supported behind a flag or only supported with a prefix in at least one target browser',
+    yargs => {
+      yargs
+        .positional('targets', {
+          describe:
+            'The oldest browser releases to support, separated by commas (ex. "chrome >= 80, firefox >= 78, safari_ios >= 13")',
+          type: 'string',
+        })
+        .positional('feature', {
+          describe:
+            'The category or feature to check (ex. "css" or "api.Request"), or nothing for all categories',
+          type: 'string',
+          default: '',
+        });
+    },
+  );
+
+  try {
+    printReport(compatReport(bcd, argv.targets, argv.feature));
+  } catch (e) {
+    console.error(chalk`{red.bold ${e.message}}`);
+    process.exit(1);
+  }
+}
+
+module.exports = printReport;
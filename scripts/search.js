@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const chalk = require('chalk');
+
+const bcd = require('..');
+const { search, suggest } = require('../utils/search.js');
+
+/**
+ * @typedef {import('../utils/search.js').SearchResult} SearchResult
+ */
+
+/**
+ * Print search results, or a suggestion if there are none
+ *
+ * @param {SearchResult[]} results The results to print
+ * @param {string} query The query
+ * @param {string[]} [categories] The categories which were searched
+ * @returns {void}
+ */
+const printResults = (results, query, categories) => {
+  if (!results.length) {
+    const suggestion = suggest(bcd, query, { categories });
+    console.log(
+      `No features found for "${query}".${
+        suggestion ? ` Did you mean "${suggestion}"?` : ''
+      }`,
+    );
+    return;
+  }
+
+  if (results[0].fuzzy) {
+    console.log(
+      chalk`{yellow No exact matches for "${query}"; showing similar names.}`,
+    );
+  }
+  for (const { path, fields } of results) {
+    console.log(chalk`${path} {dim (${fields.join(', ')})}`);
+  }
+};
+
+if (require.main === module) {
+  const { argv } = require('yargs')
+    // Read queries starting with a dash, such as "-moz-appearance", as words
+    // rather than options
+    .parserConfiguration({ 'unknown-options-as-args': true })
+    .command(
+      '$0 [query..]',
+      'Find features by name, prefixed or alternative name, description, notes or MDN URL',
+      yargs => {
+        yargs
+          .positional('query', {
+            describe:
+              'The words to search for (ex. "webkitRequestAnimationFrame", "-moz-appearance" or "Referrer-Policy")',
+            type: 'string',
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'The maximum number of results',
+            type: 'number',
+            default: 20,
+          })
+          .option('folder', {
+            describe: 'The folder(s) to search, separated by commas',
+            type: 'string',
+          })
+          .option('format', {
+            describe: 'The format of the output',
+            choices: ['text', 'json'],
+            default: 'text',
+          });
+      },
+    );
+
+  // Words after "--" are left in `argv._`
+  const query = []
+    .concat(argv.query || [], argv._)
+    .join(' ')
+    .trim();
+  if (!query) {
+    console.error(chalk`{red.bold No query given!}`);
+    process.exit(1);
+  }
+
+  const categories = argv.folder ? argv.folder.split(',') : undefined;
+  const results = search(bcd, query, { limit: argv.limit, categories });
+
+  if (argv.format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printResults(results, query, categories);
+  }
+}
+
+module.exports = printResults;
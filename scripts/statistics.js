@@ -3,28 +3,16 @@
  * http://creativecommons.org/publicdomain/zero/1.0/ */
 
 'use strict';
+const { execSync } = require('child_process');
 const chalk = require('chalk');
 
 const bcd = require('..');
-
-const { argv } = require('yargs').command(
-  '$0 [folder]',
-  'Print a markdown-formatted table displaying the statistics of real, ranged, true, and null values for each browser',
-  yargs => {
-    yargs
-      .positional('folder', {
-        describe: 'Limit the statistics to a specific folder',
-        type: 'string',
-        default: '',
-      })
-      .option('all', {
-        alias: 'a',
-        describe: 'Show statistics for all browsers within BCD',
-        type: 'boolean',
-        nargs: 0,
-      });
-  },
-);
+const { version } = require('../package.json');
+const { ROOT_DIR } = require('../utils/load.js');
+const { formatRows } = require('../utils/output.js');
+const { BROWSER_GROUPS, WEB_CATEGORIES } = require('../utils/registry.js');
+const { parseVersion } = require('../utils/versions.js');
+const { walk } = require('../utils/walk.js');
 
 /**
  * @typedef {import('../../types').Identifier} Identifier
@@ -35,7 +23,60 @@ const { argv } = require('yargs').command(
  * @property {number} null The total number of `null` values for the browser.
  * @property {number} range The total number of range values for the browser.
  * @property {number} real The total number of real values for the browser.
+ * @property {number} flagged The number of support statements with flags for the browser.
+ * @property {number} prefixed The number of support statements with a prefix for the browser.
+ * @property {number} partial The number of support statements with a partial implementation for the browser.
+ * @property {number} noted The number of support statements with notes for the browser.
+ * @property {number} [features] The number of features (only in the total).
+ * @property {number} [no_mdn_url] The number of features without an `mdn_url` (only in the total).
+ * @property {number} [no_description] The number of features without a `description` (only in the total).
+ * @property {number} [status] The number of features with a `status` block (only in the total).
+ *
+ * @typedef {object} Release
+ * @property {string} version The version of the package
+ * @property {string} date The date of the release (YYYY-MM-DD), or of the last commit if the version isn't tagged yet
+ * @property {boolean} released Whether the version is tagged
+ */
+
+/** The kinds of values which are counted for each browser */
+const VALUE_COUNTS = ['all', 'real', 'range', 'true', 'null'];
+
+/** The kinds of support statements which are counted for each browser */
+const STATEMENT_COUNTS = {
+  flagged: statement => !!statement.flags,
+  prefixed: statement => !!statement.prefix,
+  partial: statement => !!statement.partial_implementation,
+  noted: statement => !!statement.notes,
+};
+
+/** The kinds of features which are counted in the total */
+const FEATURE_COUNTS = {
+  features: () => true,
+  no_mdn_url: compat => !compat.mdn_url,
+  no_description: compat => !compat.description,
+  status: compat => !!compat.status,
+};
+
+/** Everything which is counted, as CSV columns */
+const COUNTS = VALUE_COUNTS.concat(
+  Object.keys(STATEMENT_COUNTS),
+  Object.keys(FEATURE_COUNTS),
+);
+
+/**
+ * Create the stats of a browser, or of the total, with every count at zero
+ *
+ * @param {boolean} [total] Whether to include the counts of features
+ * @returns {VersionStats}
  */
+const emptyStats = (total = false) =>
+  VALUE_COUNTS.concat(
+    Object.keys(STATEMENT_COUNTS),
+    total ? Object.keys(FEATURE_COUNTS) : [],
+  ).reduce((stats, count) => {
+    stats[count] = 0;
+    return stats;
+  }, {});
 
 /**
  * Check whether a support statement is a specified type
@@ -51,10 +92,9 @@ const checkSupport = (supportData, type) => {
   if (type == '≤') {
     return supportData.some(
       item =>
-        (typeof item.version_added == 'string' &&
-          item.version_added.startsWith('≤')) ||
-        (typeof item.version_removed == 'string' &&
-          item.version_removed.startsWith('≤')),
+        parseVersion(item.version_added).type === 'ranged' ||
+        ('version_removed' in item &&
+          parseVersion(item.version_removed).type === 'ranged'),
     );
   }
   return supportData.some(
@@ -63,7 +103,8 @@ const checkSupport = (supportData, type) => {
 };
 
 /**
- * Iterate through all of the browsers and count the number of true, null, real, and ranged values for each browser
+ * Iterate through all of the browsers and count the number of true, null, real, and ranged values for each browser,
+ * the flagged, prefixed, partial and noted support statements of each browser, and the features missing metadata
  *
  * @param {Identifier} data The data to process and count stats for
  * @param {string[]} browsers The browsers to test
@@ -91,7 +132,22 @@ const processData = (data, browsers, stats) => {
         stats[browser].real++;
         stats.total.real++;
       }
+
+      for (const statement of [].concat(data.support[browser] || [])) {
+        for (const [count, matches] of Object.entries(STATEMENT_COUNTS)) {
+          if (matches(statement)) {
+            stats[browser][count]++;
+            stats.total[count]++;
+          }
+        }
+      }
     });
+
+    for (const [count, matches] of Object.entries(FEATURE_COUNTS)) {
+      if (matches(data)) {
+        stats.total[count]++;
+      }
+    }
   }
 };
 
@@ -101,15 +157,12 @@ const processData = (data, browsers, stats) => {
  * @param {Identifier} data The compat data to iterate
  * @param {string[]} browsers The browsers to test
  * @param {object.<string, VersionStats>} stats The stats object to update
+ * @param {import('../utils/walk.js').WalkOptions} [options] The identifier of the data and the categories to include
  * @returns {void}
  */
-const iterateData = (data, browsers, stats) => {
-  for (const key in data) {
-    if (key === '__compat') {
-      processData(data[key], browsers, stats);
-    } else {
-      iterateData(data[key], browsers, stats);
-    }
+const iterateData = (data, browsers, stats, options) => {
+  for (const { compat } of walk(data, options)) {
+    processData(compat, browsers, stats);
   }
 };
 
@@ -118,88 +171,301 @@ const iterateData = (data, browsers, stats) => {
  *
  * @param {string} folder The folder to show statistics for (or all folders if blank)
  * @param {boolean} allBrowsers If true, get stats for all browsers, not just main eight
+ * @param {object} [data] The compat data
  * @returns {object.<string, VersionStats>?}
  */
-const getStats = (folder, allBrowsers) => {
+const getStats = (folder, allBrowsers, data = bcd) => {
   /**
    * @constant {string[]}
    */
   const browsers = allBrowsers
-    ? Object.keys(bcd.browsers)
-    : [
-        'chrome',
-        'chrome_android',
-        'edge',
-        'firefox',
-        'ie',
-        'safari',
-        'safari_ios',
-        'webview_android',
-      ];
+    ? Object.keys(data.browsers)
+    : BROWSER_GROUPS.main;
 
   /** @type {object.<string, VersionStats>} */
-  let stats = { total: { all: 0, true: 0, null: 0, range: 0, real: 0 } };
+  let stats = { total: emptyStats(true) };
   browsers.forEach(browser => {
-    stats[browser] = { all: 0, true: 0, null: 0, range: 0, real: 0 };
+    stats[browser] = emptyStats();
   });
 
   if (folder) {
-    if (bcd[folder]) {
-      iterateData(bcd[folder], browsers, stats);
+    if (data[folder]) {
+      iterateData(data[folder], browsers, stats, { path: folder });
     } else {
       console.error(chalk`{red.bold Folder "${folder}/" doesn't exist!}`);
       return null;
     }
   } else {
-    for (const data in bcd) {
-      if (!(data === 'browsers' || data === 'webextensions')) {
-        iterateData(bcd[data], browsers, stats);
-      }
-    }
+    iterateData(data, browsers, stats, { categories: WEB_CATEGORIES });
   }
 
   return stats;
 };
 
 /**
- * Print statistics of BCD
+ * Get the stats of several folders at once, as a folder by browser matrix
  *
- * @param {object.<string, VersionStats>} stats The stats object to print from
- * @param {string} folder The folder to show statistics for (or all folders if blank)
- * @returns {void}
+ * @param {string[]} [folders] The folders to show statistics for (all web platform folders by default)
+ * @param {boolean} [allBrowsers] If true, get stats for all browsers, not just main eight
+ * @param {object} [data] The compat data
+ * @returns {object.<string, object.<string, VersionStats>>?} The stats of each folder
  */
-const printStats = (stats, folder) => {
-  if (!stats) {
-    console.error(`No stats${folder ? ` for folder ${folder}` : ''}!`);
-    return;
+const getMatrix = (
+  folders = WEB_CATEGORIES,
+  allBrowsers = false,
+  data = bcd,
+) => {
+  const matrix = {};
+  for (const folder of folders) {
+    const stats = getStats(folder, allBrowsers, data);
+    if (!stats) {
+      return null;
+    }
+    matrix[folder] = stats;
   }
+  return matrix;
+};
 
-  console.log(
-    chalk`{bold Status as of version 1.0.xx (released on 2020-MM-DD) for ${
-      folder ? `${folder}/ directory` : 'web platform features'
-    }}: \n`,
-  );
+/**
+ * Get the version of the package and the date it was released on, from its
+ * git tag. Versions which aren't tagged yet are dated by the last commit,
+ * or by today if there's no git history.
+ *
+ * @param {string} [cwd] The git repository to read the history of (this repository by default)
+ * @returns {Release}
+ */
+const getRelease = (cwd = ROOT_DIR) => {
+  const git = args =>
+    execSync(`git ${args}`, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+
+  try {
+    return {
+      version,
+      date: git(`log -1 --format=%cI v${version}`).slice(0, 10),
+      released: true,
+    };
+  } catch (e) {
+    let date;
+    try {
+      date = git('log -1 --format=%cI HEAD').slice(0, 10);
+    } catch (e) {
+      date = new Date().toISOString().slice(0, 10);
+    }
+    return { version, date, released: false };
+  }
+};
+
+/**
+ * Format a count as a percentage of all values
+ *
+ * @param {number} count The count
+ * @param {number} all The number of all values
+ * @returns {string}
+ */
+const percentage = (count, all) => `${((count / all) * 100).toFixed(2)}%`;
+
+/**
+ * Write the heading of the statistics
+ *
+ * @param {Release} release The release the statistics are for
+ * @param {string} subject What the statistics are of
+ * @returns {string}
+ */
+const formatHeading = ({ version, date, released }, subject) =>
+  chalk`{bold Status as of version ${version} (${
+    released ? 'released' : 'last changed'
+  } on ${date}) for ${subject}}: \n`;
+
+/**
+ * Format statistics of BCD as a Markdown table, JSON or CSV
+ *
+ * @param {object.<string, VersionStats>} stats The stats object to format
+ * @param {string} folder The folder the statistics are for (or blank for all folders)
+ * @param {'markdown'|'json'|'csv'} [format] The output format
+ * @param {Release} [release] The release the statistics are for
+ * @returns {string}
+ */
+const formatStats = (
+  stats,
+  folder,
+  format = 'markdown',
+  release = getRelease(),
+) => {
+  if (format === 'json') {
+    return JSON.stringify(
+      Object.assign({}, release, { folder: folder || null, stats }),
+      null,
+      2,
+    );
+  }
+  if (format === 'csv') {
+    return formatRows(
+      Object.keys(stats).map(browser =>
+        Object.assign({ folder: folder || undefined, browser }, stats[browser]),
+      ),
+      'csv',
+      { columns: ['folder', 'browser'].concat(COUNTS) },
+    );
+  }
 
   let table = `| browser | real values | ranged values | \`true\` values | \`null\` values |
 | --- | --- | --- | --- | --- |
 `;
 
   Object.keys(stats).forEach(entry => {
+    const { all } = stats[entry];
     table += `| ${entry.replace('_', ' ')} | `;
-    table += `${((stats[entry].real / stats[entry].all) * 100).toFixed(2)}% | `;
-    table += `${((stats[entry].range / stats[entry].all) * 100).toFixed(
-      2,
-    )}% | `;
-    table += `${((stats[entry].true / stats[entry].all) * 100).toFixed(2)}% | `;
-    table += `${((stats[entry].null / stats[entry].all) * 100).toFixed(2)}% |
+    table += `${percentage(stats[entry].real, all)} | `;
+    table += `${percentage(stats[entry].range, all)} | `;
+    table += `${percentage(stats[entry].true, all)} | `;
+    table += `${percentage(stats[entry].null, all)} |
 `;
   });
 
-  console.log(table);
+  let statements = `| browser | flagged statements | prefixed statements | partial implementations | statements with notes |
+| --- | --- | --- | --- | --- |
+`;
+  Object.keys(stats).forEach(entry => {
+    statements += `| ${entry.replace('_', ' ')} | ${Object.keys(
+      STATEMENT_COUNTS,
+    )
+      .map(count => stats[entry][count])
+      .join(' | ')} |
+`;
+  });
+
+  const { features, no_mdn_url, no_description, status } = stats.total;
+  const metadata = `${features} features: ${no_mdn_url} (${percentage(
+    no_mdn_url,
+    features,
+  )}) without an \`mdn_url\`, ${no_description} (${percentage(
+    no_description,
+    features,
+  )}) without a \`description\`, ${status} (${percentage(
+    status,
+    features,
+  )}) with a \`status\`.
+`;
+
+  return `${formatHeading(
+    release,
+    folder ? `${folder}/ directory` : 'web platform features',
+  )}\n${table}\n${statements}\n${metadata}`;
+};
+
+/**
+ * Format a folder by browser matrix of statistics as a Markdown table of
+ * the real values, JSON or CSV
+ *
+ * @param {object.<string, object.<string, VersionStats>>} matrix The stats of each folder
+ * @param {'markdown'|'json'|'csv'} [format] The output format
+ * @param {Release} [release] The release the statistics are for
+ * @returns {string}
+ */
+const formatMatrix = (matrix, format = 'markdown', release = getRelease()) => {
+  if (format === 'json') {
+    return JSON.stringify(
+      Object.assign({}, release, { folders: matrix }),
+      null,
+      2,
+    );
+  }
+  if (format === 'csv') {
+    const rows = [];
+    for (const folder of Object.keys(matrix)) {
+      for (const browser of Object.keys(matrix[folder])) {
+        rows.push(Object.assign({ folder, browser }, matrix[folder][browser]));
+      }
+    }
+    return formatRows(rows, 'csv', {
+      columns: ['folder', 'browser'].concat(COUNTS),
+    });
+  }
+
+  const folders = Object.keys(matrix);
+  const browsers = folders.length ? Object.keys(matrix[folders[0]]) : [];
+  let table = `| folder | ${browsers
+    .map(browser => browser.replace('_', ' '))
+    .join(' | ')} |
+| --- | ${browsers.map(() => '---').join(' | ')} |
+`;
+  for (const folder of folders) {
+    table += `| ${folder} | ${browsers
+      .map(browser =>
+        percentage(matrix[folder][browser].real, matrix[folder][browser].all),
+      )
+      .join(' | ')} |
+`;
+  }
+
+  return `${formatHeading(release, 'each directory (real values)')}\n${table}`;
 };
 
 if (require.main === module) {
-  printStats(getStats(argv.folder, argv.all), argv.folder);
+  const { argv } = require('yargs').command(
+    '$0 [folder]',
+    'Print a markdown-formatted table displaying the statistics of real, ranged, true, and null values for each browser',
+    yargs => {
+      yargs
+        .positional('folder', {
+          describe:
+            'Limit the statistics to a specific folder (or to some folders, separated by commas, with --matrix)',
+          type: 'string',
+          default: '',
+        })
+        .option('all', {
+          alias: 'a',
+          describe: 'Show statistics for all browsers within BCD',
+          type: 'boolean',
+          nargs: 0,
+        })
+        .option('matrix', {
+          alias: 'm',
+          describe:
+            'Show the statistics of each folder in one table of folders by browsers',
+          type: 'boolean',
+          nargs: 0,
+        })
+        .option('format', {
+          describe: 'The output format',
+          choices: ['markdown', 'json', 'csv'],
+          default: 'markdown',
+        });
+    },
+  );
+
+  if (argv.matrix) {
+    const matrix = getMatrix(
+      argv.folder ? argv.folder.split(',') : undefined,
+      argv.all,
+    );
+    if (!matrix) {
+      process.exit(1);
+    }
+    console.log(formatMatrix(matrix, argv.format));
+  } else {
+    const stats = getStats(argv.folder, argv.all);
+    if (!stats) {
+      console.error(
+        `No stats${argv.folder ? ` for folder ${argv.folder}` : ''}!`,
+      );
+      process.exit(1);
+    }
+    console.log(formatStats(stats, argv.folder, argv.format));
+  }
 }
 
-module.exports = getStats;
+// `getStats` stays the export of the module, so that existing
+// `require('./statistics')(folder)` callers keep working
+module.exports = Object.assign(getStats, {
+  COUNTS,
+  getStats,
+  getMatrix,
+  getRelease,
+  formatStats,
+  formatMatrix,
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { execFileSync } = require('child_process');
+const chalk = require('chalk');
+
+const { ROOT_DIR } = require('../utils/load.js');
+const { FORMATS, formatRows } = require('../utils/output.js');
+const { WEB_CATEGORIES } = require('../utils/registry.js');
+const { loadSnapshot } = require('../utils/snapshot.js');
+const { COUNTS, getMatrix } = require('./statistics.js');
+
+/**
+ * @typedef {import('./statistics.js').VersionStats} VersionStats
+ *
+ * @typedef {object} HistoryOptions
+ * @property {string[]} [folders] The folders to count (all web platform folders by default)
+ * @property {boolean} [allBrowsers] If true, count all browsers, not just main eight
+ * @property {string} [cwd] The git repository (this repository by default)
+ *
+ * @typedef {object} HistoryPoint
+ * @property {string} ref The git ref, as given
+ * @property {string} commit The hash of the commit
+ * @property {string} date The date of the commit (ISO 8601)
+ * @property {string} folder The folder
+ * @property {string} browser The browser, or "total"
+ *
+ * @typedef {HistoryPoint & VersionStats} HistoryRow
+ */
+
+/** The columns of the time series */
+const COLUMNS = ['ref', 'commit', 'date', 'folder', 'browser'].concat(COUNTS);
+
+/**
+ * Run git and return its output
+ *
+ * @param {string[]} args The arguments
+ * @param {string} cwd The repository
+ * @returns {string}
+ */
+const git = (args, cwd) =>
+  execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+  }).trim();
+
+/**
+ * List the version tags of the repository, oldest first
+ *
+ * @param {string} [cwd] The git repository
+ * @returns {string[]}
+ */
+const getVersionTags = (cwd = ROOT_DIR) =>
+  git(['tag', '--list', 'v*', '--sort=v:refname'], cwd)
+    .split('\n')
+    .filter(tag => tag);
+
+/**
+ * Count the values of each folder and browser at a series of git refs, as
+ * a time series. The data of each ref is read from git, without checking
+ * it out. Folders which don't exist yet at a ref are left out.
+ *
+ * @param {string[]} refs The git refs (tags or commits), in the order of the series
+ * @param {HistoryOptions} [options]
+ * @returns {HistoryRow[]}
+ * @throws {Error} If a ref doesn't exist
+ */
+const getHistory = (
+  refs,
+  { folders = WEB_CATEGORIES, allBrowsers = false, cwd = ROOT_DIR } = {},
+) => {
+  /** @type {HistoryRow[]} */
+  const rows = [];
+
+  for (const ref of refs) {
+    let commit, date;
+    try {
+      [commit, date] = git(
+        ['log', '-1', '--format=%H %cI', `${ref}^{commit}`],
+        cwd,
+      ).split(' ');
+    } catch (e) {
+      throw new Error(`"${ref}" is not a git ref`);
+    }
+
+    const data = loadSnapshot(commit, {
+      categories: ['browsers'].concat(folders),
+      cwd,
+    });
+    const matrix = getMatrix(
+      folders.filter(folder => data[folder]),
+      allBrowsers,
+      data,
+    );
+    for (const folder of Object.keys(matrix)) {
+      for (const browser of Object.keys(matrix[folder])) {
+        rows.push(
+          Object.assign(
+            { ref, commit, date, folder, browser },
+            matrix[folder][browser],
+          ),
+        );
+      }
+    }
+  }
+
+  return rows;
+};
+
+if (require.main === module) {
+  const { argv } = require('yargs').command(
+    '$0 [refs..]',
+    'Print the statistics of real, ranged, true, and null values for each folder and browser at a series of git tags or commits',
+    yargs => {
+      yargs
+        .positional('refs', {
+          describe:
+            'The git tags or commits, oldest first (ex. "v1.0.0 v1.1.0 HEAD")',
+          type: 'string',
+        })
+        .option('tags', {
+          alias: 't',
+          describe: 'Use every version tag, oldest first, then the given refs',
+          type: 'boolean',
+          nargs: 0,
+        })
+        .option('folder', {
+          describe: 'The folder(s) to count, separated by commas',
+          type: 'string',
+        })
+        .option('all', {
+          alias: 'a',
+          describe: 'Show statistics for all browsers within BCD',
+          type: 'boolean',
+          nargs: 0,
+        })
+        .option('format', {
+          describe: 'The output format',
+          choices: FORMATS,
+          default: 'csv',
+        });
+    },
+  );
+
+  const refs = (argv.tags ? getVersionTags() : []).concat(argv.refs || []);
+  if (!refs.length) {
+    console.error(chalk`{red.bold No refs given, and no version tags found!}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log(
+      formatRows(
+        getHistory(refs, {
+          folders: argv.folder ? argv.folder.split(',') : undefined,
+          allBrowsers: argv.all,
+        }),
+        argv.format,
+        { columns: COLUMNS },
+      ),
+    );
+  } catch (e) {
+    console.error(chalk`{red.bold ${e.message}}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { getVersionTags, getHistory };
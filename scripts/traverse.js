@@ -1,90 +1,240 @@
 'use strict';
 const bcd = require('..');
+const { parseFilter } = require('../utils/filter.js');
+const { FORMATS, formatRows } = require('../utils/output.js');
+const { WEB_CATEGORIES } = require('../utils/registry.js');
+const { walk } = require('../utils/walk.js');
 
-const { argv } = require('yargs').command(
-  '$0 <browser> [folder] [value]',
-  'Test for specified values in any specified browser',
-  yargs => {
-    yargs
-      .positional('browser', {
-        describe: 'The browser to test for',
-        type: 'string',
-      })
-      .positional('folder', {
-        describe: 'The folder(s) to test (set to "all" for all folders)',
-        type: 'array',
-        default: 'all',
-      })
-      .positional('value', {
-        describe: 'The value(s) to test against',
-        type: 'array',
-        default: ['null', 'true'],
-      })
-      .option('depth', {
-        alias: 'd',
-        describe:
-          'Depth of features to traverse (ex. "2" will capture "api.CSSStyleSheet.insertRule" but not "api.CSSStyleSheet.insertRule.optional_index")',
-        type: 'number',
-        default: 100,
-      });
-  },
-);
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').SimpleSupportStatement} SimpleSupportStatement
+ * @typedef {import('../types').StatusBlock} StatusBlock
+ *
+ * @typedef {object} Row
+ * @property {string} path The identifier of the feature
+ * @property {string} browser The browser which was searched
+ * @property {SimpleSupportStatement|null} statement The matching support statement, or null if the browser isn't listed
+ * @property {string|null} mdn_url The MDN URL of the feature, if any
+ * @property {StatusBlock|null} status The status of the feature, if any
+ *
+ * @typedef {object} TraverseOptions
+ * @property {string} browser The browser to test for
+ * @property {string[]} folders The folders to test
+ * @property {number} [depth] The depth of features to traverse
+ * @property {string[]|null} [values] The values of `version_added` or `version_removed` to test against, or null for any value
+ * @property {((compat: CompatStatement) => boolean)|null} [filter] The filter which support statements must match, from `parseFilter()`
+ */
 
-function traverseFeatures(obj, depth, identifier) {
-  depth--;
-  if (depth >= 0) {
-    for (const i in obj) {
-      if (!!obj[i] && typeof obj[i] == 'object' && i !== '__compat') {
-        if (obj[i].__compat) {
-          const comp = obj[i].__compat.support;
-          let browser = comp[argv.browser];
-          if (!Array.isArray(browser)) {
-            browser = [browser];
-          }
-          for (const range in browser) {
-            if (browser[range] === undefined) {
-              if (values.includes('null')) features.push(`${identifier}${i}`);
-            } else if (
-              values.includes(String(browser[range].version_added)) ||
-              values.includes(String(browser[range].version_removed))
-            ) {
-              let f = `${identifier}${i}`;
-              if (browser[range].prefix)
-                f += ` (${browser[range].prefix} prefix)`;
-              if (browser[range].alternative_name)
-                f += ` (as ${browser[range].alternative_name})`;
-              features.push(f);
-            }
-          }
+/** The properties of a support statement which are written to CSV */
+const STATEMENT_COLUMNS = [
+  'version_added',
+  'version_removed',
+  'prefix',
+  'alternative_name',
+  'flags',
+  'partial_implementation',
+  'notes',
+];
+
+/** The properties of a status block which are written to CSV */
+const STATUS_COLUMNS = ['experimental', 'standard_track', 'deprecated'];
+
+/**
+ * Check whether a support statement has one of the values being searched for
+ *
+ * @param {SimpleSupportStatement|undefined} statement The statement, or undefined if the browser isn't listed
+ * @param {string[]|null} values The values, or null for any value
+ * @returns {boolean}
+ */
+function matchesValues(statement, values) {
+  if (!values) {
+    return true;
+  }
+  if (statement === undefined) {
+    return values.includes('null');
+  }
+  return (
+    values.includes(String(statement.version_added)) ||
+    values.includes(String(statement.version_removed))
+  );
+}
+
+/**
+ * Check whether a support statement matches a filter, as if it were the
+ * only statement of its browser
+ *
+ * @param {CompatStatement} compat The compat statement of the feature
+ * @param {string} browser The browser of the statement
+ * @param {SimpleSupportStatement|undefined} statement The statement, or undefined if the browser isn't listed
+ * @param {(compat: CompatStatement) => boolean} filter
+ * @returns {boolean}
+ */
+function matchesFilter(compat, browser, statement, filter) {
+  if (statement === undefined) {
+    return filter(compat);
+  }
+  return filter(
+    Object.assign({}, compat, {
+      support: Object.assign({}, compat.support, { [browser]: statement }),
+    }),
+  );
+}
+
+/**
+ * List the support statements of a browser which have the values being
+ * searched for and match the filter
+ *
+ * @param {CompatData} data The compat data
+ * @param {TraverseOptions} options
+ * @returns {Row[]}
+ */
+function traverseFeatures(
+  data,
+  { browser, folders, depth = 100, values = null, filter = null },
+) {
+  /** @type {Row[]} */
+  const features = [];
+
+  for (const folder of folders) {
+    for (const { path, compat } of walk(data[folder], {
+      path: folder,
+      depth,
+    })) {
+      for (const statement of [].concat(compat.support[browser])) {
+        if (
+          matchesValues(statement, values) &&
+          (!filter || matchesFilter(compat, browser, statement, filter))
+        ) {
+          features.push({
+            path,
+            browser,
+            statement: statement || null,
+            mdn_url: compat.mdn_url || null,
+            status: compat.status || null,
+          });
         }
-        traverseFeatures(obj[i], depth, identifier + i + '.');
       }
     }
   }
+
+  return features;
+}
+
+/**
+ * Describe a result for the plain text output
+ *
+ * @param {Row} row The result
+ * @returns {string}
+ */
+function toText({ path, statement }) {
+  let f = path;
+  if (statement && statement.prefix) f += ` (${statement.prefix} prefix)`;
+  if (statement && statement.alternative_name)
+    f += ` (as ${statement.alternative_name})`;
+  return f;
+}
+
+/**
+ * Flatten a result into the cells of a CSV line
+ *
+ * @param {Row} row The result
+ * @returns {Record<string, any>}
+ */
+function toCells({ path, browser, statement, mdn_url, status }) {
+  const cells = { path, browser };
+  for (const column of STATEMENT_COLUMNS) {
+    cells[column] = statement ? statement[column] : undefined;
+  }
+  cells.mdn_url = mdn_url || undefined;
+  for (const column of STATUS_COLUMNS) {
+    cells[column] = status ? status[column] : undefined;
+  }
+  return cells;
 }
 
-let features = [];
-const folders =
-  argv.folder == 'all'
-    ? [
-        'api',
-        'css',
-        'html',
-        'http',
-        'svg',
-        'javascript',
-        'mathml',
-        'webdriver',
-        'xpath',
-        'xslt',
-      ]
-    : argv.folder.split(',');
-const values = Array.isArray(argv.value)
-  ? argv.value
-  : argv.value.toString().split(',');
+if (require.main === module) {
+  const { argv } = require('yargs').command(
+    '$0 <browser> [folder] [value]',
+    'Test for specified values in any specified browser',
+    yargs => {
+      yargs
+        .positional('browser', {
+          describe: 'The browser to test for',
+          type: 'string',
+        })
+        .positional('folder', {
+          describe: 'The folder(s) to test (set to "all" for all folders)',
+          type: 'array',
+          default: 'all',
+        })
+        .positional('value', {
+          describe:
+            'The value(s) to test against (defaults to "null,true" unless a filter is given)',
+          type: 'array',
+        })
+        .option('filter', {
+          alias: 'f',
+          describe:
+            'Only list the features matching a filter expression (ex. "prefix and chrome:unprefixed")',
+          type: 'string',
+        })
+        .option('format', {
+          describe: 'The format of the output',
+          choices: ['text'].concat(FORMATS),
+          default: 'text',
+        })
+        .option('depth', {
+          alias: 'd',
+          describe:
+            'Depth of features to traverse (ex. "2" will capture "api.CSSStyleSheet.insertRule" but not "api.CSSStyleSheet.insertRule.optional_index")',
+          type: 'number',
+          default: 100,
+        });
+    },
+  );
 
-for (const folder in folders)
-  traverseFeatures(bcd[folders[folder]], argv.depth, `${folders[folder]}.`);
+  const folders =
+    argv.folder == 'all' ? WEB_CATEGORIES : argv.folder.split(',');
+  let filter = null;
+  try {
+    filter =
+      argv.filter &&
+      parseFilter(argv.filter, { data: bcd, browser: argv.browser });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const values =
+    argv.value === undefined
+      ? argv.filter
+        ? null
+        : ['null', 'true']
+      : Array.isArray(argv.value)
+      ? argv.value
+      : argv.value.toString().split(',');
+
+  const features = traverseFeatures(bcd, {
+    browser: argv.browser,
+    folders,
+    depth: argv.depth,
+    values,
+    filter,
+  });
+
+  if (argv.format === 'text') {
+    console.log(features.map(toText).join('\n'));
+    console.log(features.length);
+  } else {
+    console.log(
+      formatRows(features, argv.format, {
+        columns: ['path', 'browser']
+          .concat(STATEMENT_COLUMNS, 'mdn_url')
+          .concat(STATUS_COLUMNS),
+        flatten: toCells,
+      }),
+    );
+  }
+}
 
-console.log(features.join('\n'));
-console.log(features.length);
+module.exports = { traverseFeatures };
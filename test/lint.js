@@ -1,4 +1,8 @@
 'use strict';
+// Fail on broken or colliding data files, which are skipped or overwritten
+// when loading the data otherwise.
+process.env.BCD_STRICT = 'true';
+
 const fs = require('fs');
 const path = require('path');
 const ora = require('ora');
@@ -15,10 +19,32 @@ const {
   testConsistency,
   testDescriptions,
 } = require('./linter/index.js');
+const { CATEGORIES } = require('../utils/registry.js');
 const { IS_CI } = require('./utils.js');
+const testAliases = require('./test-aliases');
 const testCompareFeatures = require('./test-compare-features');
+const testDiff = require('./test-diff');
+const testMdnUrls = require('./test-mdn-urls');
 const testMigrations = require('./test-migrations');
+const testMirror = require('./test-mirror');
+const testFilter = require('./test-filter');
 const testFormat = require('./test-format');
+const testBuild = require('./test-build');
+const testLoad = require('./test-load');
+const testOutput = require('./test-output');
+const testQuery = require('./test-query');
+const testRegexes = require('./test-regexes');
+const testRegistry = require('./test-registry');
+const testReleaseNotes = require('./test-release-notes');
+const testReleases = require('./test-releases');
+const testReport = require('./test-report');
+const testSearch = require('./test-search');
+const testStatistics = require('./test-statistics');
+const testStatsHistory = require('./test-stats-history');
+const testSupport = require('./test-support');
+const testTraverse = require('./test-traverse');
+const testVersionValues = require('./test-versions');
+const testWalk = require('./test-walk');
 
 /** @type {Map<string, string>} */
 const filesWithErrors = new Map();
@@ -144,23 +170,31 @@ function load(...files) {
 /** @type {boolean} */
 var hasErrors = argv.files
   ? load.apply(undefined, argv.files)
-  : load(
-      'api',
-      'browsers',
-      'css',
-      'html',
-      'http',
-      'svg',
-      'javascript',
-      'mathml',
-      'webdriver',
-      'webextensions',
-      'xpath',
-      'xslt',
-    );
+  : load(...CATEGORIES);
 hasErrors = testCompareFeatures() || hasErrors;
 hasErrors = testMigrations() || hasErrors;
+hasErrors = testLoad() || hasErrors;
+hasErrors = testBuild() || hasErrors;
+hasErrors = testQuery() || hasErrors;
+hasErrors = testRegexes() || hasErrors;
+hasErrors = testRegistry() || hasErrors;
+hasErrors = testReleases() || hasErrors;
+hasErrors = testVersionValues() || hasErrors;
+hasErrors = testSupport() || hasErrors;
+hasErrors = testReport() || hasErrors;
+hasErrors = testWalk() || hasErrors;
+hasErrors = testFilter() || hasErrors;
+hasErrors = testOutput() || hasErrors;
+hasErrors = testSearch() || hasErrors;
+hasErrors = testAliases() || hasErrors;
+hasErrors = testMdnUrls() || hasErrors;
 hasErrors = testFormat() || hasErrors;
+hasErrors = testDiff() || hasErrors;
+hasErrors = testReleaseNotes() || hasErrors;
+hasErrors = testStatistics() || hasErrors;
+hasErrors = testStatsHistory() || hasErrors;
+hasErrors = testMirror() || hasErrors;
+hasErrors = testTraverse() || hasErrors;
 
 if (hasErrors) {
   console.warn('');
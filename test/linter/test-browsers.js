@@ -2,49 +2,33 @@
 const path = require('path');
 const chalk = require('chalk');
 const { Logger } = require('./utils.js');
+const { REGISTRY, getCategoryBrowsers } = require('../../utils/registry.js');
+const { walk } = require('../../utils/walk.js');
 
 /**
+ * @typedef {import('../../types').CompatStatement} CompatStatement
  * @typedef {import('../../types').Identifier} Identifier
  */
 
-/** @type {Record<string, string[]>} */
-const browsers = {
-  desktop: ['chrome', 'edge', 'firefox', 'ie', 'opera', 'safari'],
-  mobile: [
-    'chrome_android',
-    'firefox_android',
-    'opera_android',
-    'qq_android',
-    'safari_ios',
-    'samsunginternet_android',
-    'uc_android',
-    'uc_chinese_android',
-    'webview_android',
-  ],
-  server: ['nodejs'],
-  'webextensions-desktop': ['chrome', 'edge', 'firefox', 'opera', 'safari'],
-  'webextensions-mobile': ['firefox_android'],
-};
-
 /**
- * @param {Identifier} data
+ * @param {CompatStatement} compat
  * @param {string[]} displayBrowsers
  * @param {string[]} requiredBrowsers
  * @param {string} category
  * @param {Logger} logger
- * @param {string} [path]
- * @returns {boolean}
+ * @param {string} path
+ * @returns {void}
  */
 function processData(
-  data,
+  compat,
   displayBrowsers,
   requiredBrowsers,
   category,
   logger,
-  path = '',
+  path,
 ) {
-  if (data.__compat && data.__compat.support) {
-    const support = data.__compat.support;
+  if (compat.support) {
+    const support = compat.support;
 
     const invalidEntries = Object.keys(support).filter(
       value => !displayBrowsers.includes(value),
@@ -91,18 +75,6 @@ function processData(
       }
     }
   }
-  for (const key in data) {
-    if (key === '__compat') continue;
-
-    processData(
-      data[key],
-      displayBrowsers,
-      requiredBrowsers,
-      category,
-      logger,
-      path && path.length > 0 ? `${path}.${key}` : key,
-    );
-  }
 }
 
 /**
@@ -119,32 +91,28 @@ function testBrowsers(filename) {
   /** @type {Identifier} */
   const data = require(filename);
 
-  if (!category) {
+  if (!category || !REGISTRY[category]) {
     console.warn(chalk.blackBright('  Browsers – Unknown category'));
     return false;
   }
 
-  let displayBrowsers = [...browsers['desktop'], ...browsers['mobile']];
-  let requiredBrowsers = browsers['desktop'];
-  if (category === 'api') {
-    displayBrowsers.push('nodejs');
-  }
-  if (category === 'javascript') {
-    displayBrowsers.push(...browsers['server']);
-  }
-  if (category === 'webextensions') {
-    displayBrowsers = [
-      ...browsers['webextensions-desktop'],
-      ...browsers['webextensions-mobile'],
-    ];
-    requiredBrowsers = browsers['webextensions-desktop'];
-  }
-  displayBrowsers.sort();
-  requiredBrowsers.sort();
+  const {
+    browsers: displayBrowsers,
+    required: requiredBrowsers,
+  } = getCategoryBrowsers(category);
 
   const logger = new Logger('Browsers');
 
-  processData(data, displayBrowsers, requiredBrowsers, category, logger);
+  for (const { path, compat } of walk(data)) {
+    processData(
+      compat,
+      displayBrowsers,
+      requiredBrowsers,
+      category,
+      logger,
+      path,
+    );
+  }
 
   logger.emit();
   return logger.hasErrors();
@@ -1,7 +1,13 @@
 'use strict';
 const path = require('path');
-const compareVersions = require('compare-versions');
 const chalk = require('chalk');
+const bcd = require('../..');
+const {
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  minVersion,
+} = require('../../utils/versions.js');
 
 /**
  * @typedef {import('../../types').CompatStatement} CompatStatement
@@ -185,6 +191,7 @@ class ConsistencyChecker {
           this.isVersionAddedGreater(
             data[subfeature].__compat.support[browser],
             data.__compat.support[browser],
+            browser,
           )
         ) {
           inconsistentSubfeaturesByBrowser[browser] =
@@ -276,53 +283,61 @@ class ConsistencyChecker {
 
   /**
    * @param {SupportStatement} compatData
+   * @param {string} browser
    * @return {string | null}
    */
-  getVersionAdded(compatData) {
-    /** @type {string | null} */
-    var version_added = null;
-
+  getVersionAdded(compatData, browser) {
     if (typeof compatData.version_added === 'string')
       return compatData.version_added;
 
     if (compatData.constructor === Array) {
-      for (var i = compatData.length - 1; i >= 0; i--) {
-        var va = compatData[i].version_added;
-        if (
-          typeof va === 'string' &&
-          (version_added == null ||
-            (typeof version_added === 'string' &&
-              compareVersions.compare(
-                version_added.replace('≤', ''),
-                va.replace('≤', ''),
-                '>',
-              )))
-        ) {
-          version_added = va;
-        }
+      // Invalid versions are reported by the versions linter
+      const version_added = minVersion(
+        bcd,
+        browser,
+        compatData
+          .map(statement => statement.version_added)
+          .filter(va => isValidVersion(bcd, browser, va))
+          .reverse(),
+      );
+      if (version_added !== undefined) {
+        return /** @type {string} */ (version_added);
       }
     }
 
-    return version_added;
+    return null;
   }
 
   /**
    * @param {SupportStatement} a
    * @param {SupportStatement} b
+   * @param {string} browser
    * @return {boolean}
    */
-  isVersionAddedGreater(a, b) {
-    var a_version_added = this.getVersionAdded(a);
-    var b_version_added = this.getVersionAdded(b);
+  isVersionAddedGreater(a, b, browser) {
+    // Unknown browsers are reported by the browsers linter
+    if (!(browser in bcd.browsers)) {
+      return false;
+    }
+
+    var a_version_added = this.getVersionAdded(a, browser);
+    var b_version_added = this.getVersionAdded(b, browser);
 
     if (
       typeof a_version_added === 'string' &&
-      typeof b_version_added === 'string'
+      typeof b_version_added === 'string' &&
+      isValidVersion(bcd, browser, a_version_added) &&
+      isValidVersion(bcd, browser, b_version_added)
     ) {
-      if (a_version_added.startsWith('≤') || b_version_added.startsWith('≤')) {
+      if (
+        parseVersion(a_version_added).type === 'ranged' ||
+        parseVersion(b_version_added).type === 'ranged'
+      ) {
         return false;
       }
-      return compareVersions.compare(a_version_added, b_version_added, '<');
+      return (
+        compareVersions(bcd, browser, a_version_added, b_version_added) < 0
+      );
     }
 
     return false;
@@ -2,6 +2,8 @@
 const path = require('path');
 const chalk = require('chalk');
 const { Logger } = require('./utils.js');
+const { REGISTRY, getCategoryBrowsers } = require('../../utils/registry.js');
+const { walk } = require('../../utils/walk.js');
 
 /**
  * @typedef {import('../../types').Identifier} Identifier
@@ -10,37 +12,6 @@ const { Logger } = require('./utils.js');
  * @typedef {import('../../types').VersionValue} VersionValue
  */
 
-/** @type {string[]} */
-const blockMany = [
-  'chrome',
-  'chrome_android',
-  'edge',
-  'firefox',
-  'firefox_android',
-  'ie',
-  'opera',
-  'opera_android',
-  'safari',
-  'safari_ios',
-  'samsunginternet_android',
-  'webview_android',
-];
-
-/** @type {Record<string, string[]>} */
-const blockList = {
-  api: [],
-  css: blockMany,
-  html: [],
-  http: [],
-  svg: [],
-  javascript: blockMany,
-  mathml: blockMany,
-  webdriver: blockMany,
-  webextensions: [],
-  xpath: [],
-  xslt: [],
-};
-
 /**
  * @param {SupportBlock} supportData
  * @param {string[]} blockList
@@ -92,28 +63,16 @@ function testRealValues(filename) {
   const data = require(filename);
   const logger = new Logger('Real values');
 
-  /**
-   * @param {Identifier} data
-   * @param {string} [relPath]
-   */
-  function findSupport(data, relPath) {
-    for (const prop in data) {
-      if (prop === '__compat' && data[prop].support) {
-        if (blockList[category] && blockList[category].length > 0)
-          checkRealValues(
-            data[prop].support,
-            blockList[category],
-            relPath,
-            logger,
-          );
-      }
-      const sub = data[prop];
-      if (typeof sub === 'object') {
-        findSupport(sub, relPath ? `${relPath}.${prop}` : `${prop}`);
+  const blockList = REGISTRY[category]
+    ? getCategoryBrowsers(category).realValues
+    : [];
+  if (blockList.length > 0) {
+    for (const { path, compat } of walk(data)) {
+      if (compat.support) {
+        checkRealValues(compat.support, blockList, path, logger);
       }
     }
   }
-  findSupport(data);
 
   logger.emit();
   return logger.hasErrors();
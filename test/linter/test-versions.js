@@ -1,7 +1,13 @@
 'use strict';
-const compareVersions = require('compare-versions');
 const chalk = require('chalk');
 const { Logger } = require('./utils.js');
+const { walk } = require('../../utils/walk.js');
+const {
+  VERSION_RANGES,
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+} = require('../../utils/versions.js');
 
 /**
  * @typedef {import('../../types').Identifier} Identifier
@@ -9,38 +15,19 @@ const { Logger } = require('./utils.js');
  * @typedef {import('../../types').SupportBlock} SupportBlock
  * @typedef {import('../../types').VersionValue} VersionValue
  */
-const browsers = require('../..').browsers;
+const bcd = require('../..');
+const { browsers } = bcd;
 
 /** @type {Object<string, string[]>} */
 const validBrowserVersions = {};
 
-/** @type {Object<string, string[]>} */
-const VERSION_RANGE_BROWSERS = {
-  webview_android: ['≤37'],
-  opera: ['≤12.1', '≤15'],
-  opera_android: ['≤12.1', '≤14'],
-  edge: ['≤18', '≤79'],
-};
-
 /** @type string[] */
 const FLAGLESS_BROWSERS = ['samsunginternet_android', 'webview_android'];
 
 for (const browser of Object.keys(browsers)) {
   validBrowserVersions[browser] = Object.keys(browsers[browser].releases);
-  if (VERSION_RANGE_BROWSERS[browser]) {
-    validBrowserVersions[browser].push(...VERSION_RANGE_BROWSERS[browser]);
-  }
-}
-
-/**
- * @param {string} browserIdentifier
- * @param {VersionValue} version
- */
-function isValidVersion(browserIdentifier, version) {
-  if (typeof version === 'string') {
-    return validBrowserVersions[browserIdentifier].includes(version);
-  } else {
-    return true;
+  if (VERSION_RANGES[browser]) {
+    validBrowserVersions[browser].push(...VERSION_RANGES[browser]);
   }
 }
 
@@ -69,12 +56,15 @@ function checkVersions(supportData, relPath, logger) {
       ].join(', ')}`;
 
       for (const statement of supportStatements) {
-        if (!isValidVersion(browser, statement.version_added)) {
+        if (!isValidVersion(bcd, browser, statement.version_added)) {
           logger.error(
             chalk`{red → {bold ${relPath}} - {bold version_added: "${statement.version_added}"} is {bold NOT} a valid version number for {bold ${browser}}\n    Valid {bold ${browser}} versions are: ${validBrowserVersionsString}}`,
           );
         }
-        if (!isValidVersion(browser, statement.version_removed)) {
+        if (
+          'version_removed' in statement &&
+          !isValidVersion(bcd, browser, statement.version_removed)
+        ) {
           logger.error(
             chalk`{red → {bold ${relPath}} - {bold version_removed: "${statement.version_removed}"} is {bold NOT} a valid version number for {bold ${browser}}\n    Valid {bold ${browser}} versions are: ${validBrowserVersionsString}}`,
           );
@@ -89,24 +79,22 @@ function checkVersions(supportData, relPath, logger) {
             );
           } else if (
             typeof statement.version_added === 'string' &&
-            typeof statement.version_removed === 'string'
+            typeof statement.version_removed === 'string' &&
+            isValidVersion(bcd, browser, statement.version_added) &&
+            isValidVersion(bcd, browser, statement.version_removed)
           ) {
-            if (
-              (statement.version_added.startsWith('≤') &&
-                statement.version_removed.startsWith('≤') &&
-                compareVersions.compare(
-                  statement.version_added.replace('≤', ''),
-                  statement.version_removed.replace('≤', ''),
-                  '<',
-                )) ||
-              ((!statement.version_added.startsWith('≤') ||
-                !statement.version_removed.startsWith('≤')) &&
-                compareVersions.compare(
-                  statement.version_added.replace('≤', ''),
-                  statement.version_removed.replace('≤', ''),
-                  '>=',
-                ))
-            ) {
+            // Two ranges may end at the same release, but the range of the
+            // removal can't end after the range of the addition
+            const bothRanged =
+              parseVersion(statement.version_added).type === 'ranged' &&
+              parseVersion(statement.version_removed).type === 'ranged';
+            const comparison = compareVersions(
+              bcd,
+              browser,
+              statement.version_added,
+              statement.version_removed,
+            );
+            if (bothRanged ? comparison < 0 : comparison >= 0) {
               logger.error(
                 chalk`{red → {bold ${relPath}} - {bold version_removed: "${statement.version_removed}"} must be greater than {bold version_added: "${statement.version_added}"}}`,
               );
@@ -134,22 +122,11 @@ function testVersions(filename) {
 
   const logger = new Logger('Versions');
 
-  /**
-   * @param {Identifier} data
-   * @param {string} [relPath]
-   */
-  function findSupport(data, relPath) {
-    for (const prop in data) {
-      if (prop === '__compat' && data[prop].support) {
-        checkVersions(data[prop].support, relPath, logger);
-      }
-      const sub = data[prop];
-      if (typeof sub === 'object') {
-        findSupport(sub, relPath ? `${relPath}.${prop}` : `${prop}`);
-      }
+  for (const { path, compat } of walk(data)) {
+    if (compat.support) {
+      checkVersions(compat.support, path, logger);
     }
   }
-  findSupport(data);
 
   logger.emit();
   return logger.hasErrors();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTests } = require('./utils.js');
+
+const {
+  getAlias,
+  buildAliasIndex,
+  lookupAlias,
+} = require('../utils/aliases.js');
+
+/**
+ * @param {object} support
+ * @returns {object}
+ */
+const compat = support => ({ __compat: { support } });
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+    firefox: { name: 'Firefox', releases: {} },
+  },
+  api: {
+    Document: {
+      visibilitychange_event: compat({
+        chrome: [
+          { version_added: '33' },
+          { version_added: '13', version_removed: '33', prefix: 'webkit' },
+        ],
+      }),
+    },
+    WindowOrWorkerGlobalScope: {
+      indexedDB: compat({
+        chrome: { version_added: '24' },
+        firefox: [
+          { version_added: '16' },
+          { version_added: '10', version_removed: '16', prefix: 'moz' },
+        ],
+      }),
+    },
+  },
+  css: {
+    properties: {
+      'box-shadow': compat({
+        chrome: [
+          { version_added: '10' },
+          { version_added: '1', prefix: '-webkit-' },
+        ],
+        firefox: [
+          { version_added: '4' },
+          { version_added: '3.5', version_removed: '13', prefix: '-moz-' },
+          {
+            version_added: '44',
+            prefix: '-webkit-',
+            flags: [{ type: 'preference', name: 'layout.css.prefixes.webkit' }],
+          },
+          { version_added: false, prefix: '-o-' },
+        ],
+      }),
+    },
+  },
+  html: {
+    elements: {
+      input: {
+        webkitdirectory: compat({
+          chrome: { version_added: '7' },
+          firefox: { version_added: '50', alternative_name: 'directory' },
+        }),
+      },
+    },
+  },
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'prefixes follow the spelling of each kind of feature',
+    () => {
+      assert.strictEqual(
+        getAlias('css.properties.box-shadow', { prefix: '-webkit-' }),
+        '-webkit-box-shadow',
+      );
+      assert.strictEqual(
+        getAlias('api.WindowOrWorkerGlobalScope.indexedDB', { prefix: 'moz' }),
+        'mozIndexedDB',
+      );
+      assert.strictEqual(
+        getAlias('api.Document.visibilitychange_event', { prefix: 'webkit' }),
+        'webkitvisibilitychange',
+      );
+      assert.strictEqual(
+        getAlias('api.WEBGL_lose_context', { prefix: 'WEBKIT_' }),
+        'WEBKIT_WEBGL_lose_context',
+      );
+      assert.strictEqual(
+        getAlias('html.elements.input.webkitdirectory', {
+          alternative_name: 'directory',
+        }),
+        'directory',
+      );
+      assert.strictEqual(getAlias('api.Document', {}), null);
+    },
+  ],
+  [
+    'the index maps aliases to the statements using them',
+    () => {
+      const index = buildAliasIndex(data);
+      assert.deepStrictEqual(Object.keys(index), [
+        '-moz-box-shadow',
+        '-webkit-box-shadow',
+        'directory',
+        'mozIndexedDB',
+        'webkitvisibilitychange',
+      ]);
+      assert.deepStrictEqual(index['-moz-box-shadow'], [
+        {
+          path: 'css.properties.box-shadow',
+          browser: 'firefox',
+          version_added: '3.5',
+          version_removed: '13',
+        },
+      ]);
+    },
+  ],
+  [
+    'aliases are looked up with the releases supporting them',
+    () =>
+      assert.deepStrictEqual(lookupAlias(data, '-webkit-box-shadow'), [
+        {
+          alias: '-webkit-box-shadow',
+          path: 'css.properties.box-shadow',
+          browsers: {
+            chrome: [{ version_added: '1' }],
+            firefox: [
+              {
+                version_added: '44',
+                flags: [
+                  { type: 'preference', name: 'layout.css.prefixes.webkit' },
+                ],
+              },
+            ],
+          },
+        },
+      ]),
+  ],
+  [
+    'aliases are looked up ignoring case if needed',
+    () => {
+      assert.deepStrictEqual(
+        lookupAlias(data, 'MOZINDEXEDDB').map(match => match.path),
+        ['api.WindowOrWorkerGlobalScope.indexedDB'],
+      );
+      assert.deepStrictEqual(lookupAlias(data, 'indexedDB'), []);
+    },
+  ],
+  [
+    'a prebuilt index is used if there is one',
+    () => {
+      const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-aliases-'));
+      const file = path.join(buildDir, 'aliases.json');
+      try {
+        fs.writeFileSync(
+          file,
+          JSON.stringify({
+            prebuilt: [
+              { path: 'api.Prebuilt', browser: 'chrome', version_added: '1' },
+            ],
+          }),
+        );
+        const copy = Object.assign({}, data);
+        assert.deepStrictEqual(
+          lookupAlias(copy, 'prebuilt', { buildDir }).map(match => match.path),
+          ['api.Prebuilt'],
+        );
+        assert.deepStrictEqual(lookupAlias(copy, 'mozIndexedDB'), []);
+      } finally {
+        fs.unlinkSync(file);
+        fs.rmdirSync(buildDir);
+      }
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the alias index isn't functioning properly
+ */
+const testAliases = () => runTests('Aliases', tests);
+
+module.exports = testAliases;
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTests } = require('./utils.js');
+
+const { build, getBundles, serialize } = require('../scripts/build.js');
+const {
+  BUILD_DIR,
+  load,
+  loadCategory,
+  loadLazily,
+} = require('../utils/load.js');
+const { CATEGORIES } = require('../utils/registry.js');
+const { removeDir } = require('../utils/snapshot.js');
+
+/**
+ * Check that every bundle in a directory matches the directory walk
+ *
+ * @param {string} dir
+ * @param {(file: string) => string} describeMismatch
+ */
+const assertBundles = (dir, describeMismatch) => {
+  for (const [name, contents] of getBundles(load(CATEGORIES))) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      assert.ok(
+        fs.readFileSync(file).equals(Buffer.from(serialize(contents))),
+        describeMismatch(file),
+      );
+    }
+  }
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'the bundles are byte-for-byte equal to the directory walk',
+    () => {
+      const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-build-'));
+
+      try {
+        const files = build(outDir);
+        assert.strictEqual(files.length, CATEGORIES.length + 2);
+        assertBundles(
+          outDir,
+          file => `${path.basename(file)} differs from the directory walk`,
+        );
+        assert.strictEqual(
+          serialize(loadLazily(CATEGORIES, { buildDir: outDir })),
+          serialize(load(CATEGORIES)),
+          'Data loaded from the bundles differs from the directory walk',
+        );
+      } finally {
+        removeDir(outDir);
+      }
+    },
+  ],
+  [
+    'the merged bundle is used for categories without their own bundle',
+    () => {
+      const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-build-'));
+
+      try {
+        fs.writeFileSync(
+          path.join(outDir, 'data.json'),
+          serialize({ css: { bundled: {} }, xpath: { bundled: {} } }),
+        );
+        fs.writeFileSync(
+          path.join(outDir, 'css.json'),
+          serialize({ css: { own: {} } }),
+        );
+        const data = loadLazily(['css', 'xpath'], { buildDir: outDir });
+        assert.deepStrictEqual(data.css, { own: {} });
+        assert.deepStrictEqual(data.xpath, { bundled: {} });
+      } finally {
+        removeDir(outDir);
+      }
+    },
+  ],
+  [
+    'bundles older than the data are ignored',
+    () => {
+      const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-build-'));
+
+      try {
+        const file = path.join(outDir, 'xpath.json');
+        fs.writeFileSync(file, serialize({ xpath: { bundled: {} } }));
+        fs.utimesSync(file, 0, 0);
+        assert.deepStrictEqual(
+          loadCategory('xpath', { buildDir: outDir }),
+          load(['xpath']).xpath,
+        );
+      } finally {
+        removeDir(outDir);
+      }
+    },
+  ],
+  [
+    'the prebuilt bundles are up to date',
+    () => {
+      if (fs.existsSync(BUILD_DIR)) {
+        assertBundles(
+          BUILD_DIR,
+          file =>
+            `${path.relative(
+              process.cwd(),
+              file,
+            )} is out of date; run \`npm run build\` again or delete it`,
+        );
+      }
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the bundles aren't built properly
+ */
+const testBuild = () => runTests('Build', tests);
+
+module.exports = testBuild;
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTests } = require('./utils.js');
+
+const {
+  diffData,
+  diffReleases,
+  renderMarkdown,
+  renderSummary,
+} = require('../utils/diff.js');
+const { loadSnapshot } = require('../utils/snapshot.js');
+const diffSnapshots = require('../scripts/diff.js');
+
+const MDN = 'https://developer.mozilla.org/docs/Web/API';
+
+const before = {
+  api: {
+    Window: {
+      __compat: {
+        mdn_url: `${MDN}/Window`,
+        support: {
+          chrome: { version_added: '1' },
+          firefox: [
+            { version_added: '10' },
+            {
+              version_added: '5',
+              flags: [{ type: 'preference', name: 'dom.window' }],
+            },
+          ],
+        },
+        status: { experimental: true, standard_track: true, deprecated: false },
+      },
+      print: {
+        __compat: {
+          support: { chrome: { version_added: '5' } },
+        },
+      },
+    },
+  },
+};
+
+const after = {
+  api: {
+    Window: {
+      __compat: {
+        mdn_url: `${MDN}/Window/Window`,
+        support: {
+          chrome: { version_added: '1', version_removed: '80' },
+          firefox: { version_added: '12' },
+          safari: {
+            version_added: false,
+            flags: [{ type: 'preference', name: 'Window' }],
+          },
+        },
+        status: {
+          experimental: false,
+          standard_track: true,
+          deprecated: false,
+        },
+      },
+      open: {
+        __compat: {
+          support: { chrome: { version_added: '2' } },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Write some data as a checkout to a temporary directory, and run a callback
+ * with it
+ *
+ * @param {object} data The data, with one file per category
+ * @param {(dir: string) => void} callback
+ */
+const withCheckout = (data, callback) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-diff-'));
+  const files = Object.keys(data).map(category => {
+    fs.mkdirSync(path.join(dir, category));
+    const file = path.join(dir, category, 'data.json');
+    fs.writeFileSync(file, JSON.stringify({ [category]: data[category] }));
+    return file;
+  });
+  try {
+    callback(dir);
+  } finally {
+    for (const file of files) {
+      fs.unlinkSync(file);
+      fs.rmdirSync(path.dirname(file));
+    }
+    fs.rmdirSync(dir);
+  }
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'Added and removed features are listed',
+    () => {
+      const diff = diffData(before, after);
+      assert.deepStrictEqual(diff.added, ['api.Window.open']);
+      assert.deepStrictEqual(diff.removed, ['api.Window.print']);
+    },
+  ],
+  [
+    'Version, flag, status and MDN URL changes are listed',
+    () => {
+      assert.deepStrictEqual(diffData(before, after).changes, [
+        {
+          path: 'api.Window',
+          type: 'version_removed',
+          browser: 'chrome',
+          to: '80',
+        },
+        {
+          path: 'api.Window',
+          type: 'version_added',
+          browser: 'firefox',
+          from: '10',
+          to: '12',
+        },
+        {
+          path: 'api.Window',
+          type: 'flag_removed',
+          browser: 'firefox',
+          flag: 'dom.window',
+        },
+        {
+          path: 'api.Window',
+          type: 'version_added',
+          browser: 'safari',
+          to: false,
+        },
+        {
+          path: 'api.Window',
+          type: 'flag_added',
+          browser: 'safari',
+          flag: 'Window',
+        },
+        {
+          path: 'api.Window',
+          type: 'status',
+          field: 'experimental',
+          from: true,
+          to: false,
+        },
+        {
+          path: 'api.Window',
+          type: 'mdn_url',
+          from: `${MDN}/Window`,
+          to: `${MDN}/Window/Window`,
+        },
+      ]);
+    },
+  ],
+  [
+    'Identical snapshots have no changes',
+    () => {
+      assert.deepStrictEqual(diffData(before, before), {
+        added: [],
+        removed: [],
+        changes: [],
+      });
+      assert.strictEqual(renderMarkdown(diffData(after, after)), 'No changes.');
+    },
+  ],
+  [
+    'Categories can be left out',
+    () => {
+      const diff = diffData(before, after, { categories: ['css'] });
+      assert.deepStrictEqual(diff, { added: [], removed: [], changes: [] });
+    },
+  ],
+  [
+    'Diffs are rendered as Markdown',
+    () => {
+      const markdown = renderMarkdown(diffData(before, after));
+      assert.ok(markdown.startsWith('## Added features (1)\n\n'));
+      assert.ok(markdown.includes('## Removed features (1)\n\n'));
+      assert.ok(markdown.includes('## Changed features (1)\n\n'));
+      assert.ok(
+        markdown.includes(
+          '- `api.Window`\n  - chrome: `version_removed` changed from nothing to `"80"`\n',
+        ),
+      );
+      assert.ok(markdown.includes('  - safari: flag `Window` added\n'));
+      assert.ok(
+        markdown.includes(
+          '  - `status.experimental` changed from `true` to `false`\n',
+        ),
+      );
+      assert.ok(
+        renderMarkdown(diffData(before, after), '###').startsWith(
+          '### Added features',
+        ),
+      );
+    },
+  ],
+  [
+    'New browser releases are listed',
+    () => {
+      const browsers = {
+        chrome: { name: 'Chrome', releases: { 9: {}, 10: {} } },
+      };
+      assert.deepStrictEqual(
+        diffReleases(
+          { browsers },
+          {
+            browsers: {
+              chrome: { name: 'Chrome', releases: { 9: {}, 10: {}, 11: {} } },
+              firefox: { name: 'Firefox', releases: { '3.6': {}, 3: {} } },
+            },
+          },
+        ),
+        [
+          { browser: 'chrome', version: '11' },
+          { browser: 'firefox', version: '3' },
+          { browser: 'firefox', version: '3.6' },
+        ],
+      );
+      assert.deepStrictEqual(diffReleases({ browsers }, { browsers }), []);
+    },
+  ],
+  [
+    'Diffs are summarized for release notes',
+    () => {
+      const diff = diffData(before, after);
+      diff.added.push('api.Window.close', 'css.properties.color');
+      assert.strictEqual(
+        renderSummary(diff, {
+          releases: [{ browser: 'chrome', version: '80' }],
+          browsers: { chrome: { name: 'Chrome', releases: {} } },
+          limit: 2,
+        }),
+        [
+          '- New features in `api` (2): `api.Window.open`, `api.Window.close`',
+          '- New features in `css` (1): `css.properties.color`',
+          '- Removed features (1): `api.Window.print`',
+          '- New browser releases: Chrome 80',
+          '- Status changes (1):',
+          '  - `api.Window` is no longer experimental',
+        ].join('\n'),
+      );
+      diff.added.push('api.Window.stop');
+      assert.ok(
+        renderSummary(diff, { limit: 2 }).startsWith(
+          '- New features in `api` (3): `api.Window.open`, `api.Window.close` and 1 more\n',
+        ),
+      );
+      assert.strictEqual(
+        renderSummary(diffData(before, before)),
+        '- No changes to the data',
+      );
+    },
+  ],
+  [
+    'Checkouts and bundle files are loaded',
+    () => {
+      withCheckout(after, dir => {
+        assert.deepStrictEqual(loadSnapshot(dir), after);
+        assert.deepStrictEqual(
+          diffData(before, loadSnapshot(dir)),
+          diffData(before, after),
+        );
+
+        const bundle = path.join(dir, 'api', 'bundle.json');
+        fs.writeFileSync(bundle, JSON.stringify(before));
+        try {
+          assert.deepStrictEqual(loadSnapshot(bundle), before);
+          assert.deepStrictEqual(
+            loadSnapshot(bundle, { categories: ['css'] }),
+            {},
+          );
+        } finally {
+          fs.unlinkSync(bundle);
+        }
+      });
+    },
+  ],
+  [
+    'Snapshots are compared',
+    () => {
+      withCheckout(before, beforeDir => {
+        withCheckout(after, afterDir => {
+          const diff = JSON.parse(
+            diffSnapshots(beforeDir, afterDir, {
+              format: 'json',
+              categories: ['api'],
+            }),
+          );
+          assert.deepStrictEqual(diff.added, ['api.Window.open']);
+          assert.deepStrictEqual(diff.removed, ['api.Window.print']);
+          assert.deepStrictEqual(
+            diff.changes
+              .filter(change => change.type === 'version_removed')
+              .map(change => [change.path, change.browser, change.to]),
+            [['api.Window', 'chrome', '80']],
+          );
+          assert.ok(
+            diffSnapshots(beforeDir, afterDir, {
+              categories: ['api'],
+            }).includes('Added features (1)'),
+          );
+          assert.strictEqual(
+            diffSnapshots(beforeDir, beforeDir, { categories: ['api'] }),
+            'No changes.',
+          );
+        });
+      });
+    },
+  ],
+  [
+    'Git refs are loaded',
+    () => {
+      const head = loadSnapshot('HEAD', { categories: ['xslt'] });
+      assert.deepStrictEqual(Object.keys(head), ['xslt']);
+      assert.ok(Object.keys(head.xslt.elements).length > 0);
+      assert.throws(
+        () => loadSnapshot('no-such-ref'),
+        /"no-such-ref" is neither a directory, a bundle file nor a git ref/,
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the semantic diff isn't functioning properly
+ */
+const testDiff = () => runTests('Diff', tests);
+
+module.exports = testDiff;
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { parseFilter } = require('../utils/filter.js');
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+    safari: { name: 'Safari', releases: {} },
+  },
+};
+
+const features = {
+  prefixed: {
+    support: {
+      chrome: { version_added: '36' },
+      safari: [
+        { version_added: '9' },
+        { version_added: '7', version_removed: '9', prefix: '-webkit-' },
+      ],
+    },
+    status: { experimental: false, standard_track: true, deprecated: false },
+  },
+  flagged: {
+    support: {
+      chrome: {
+        version_added: '80',
+        flags: [{ type: 'preference', name: 'Experimental features' }],
+      },
+      safari: { version_added: false },
+    },
+    status: { experimental: true, standard_track: true, deprecated: false },
+  },
+  partial: {
+    support: {
+      chrome: {
+        version_added: '≤37',
+        partial_implementation: true,
+        notes: 'Only some values.',
+      },
+    },
+    status: { experimental: false, standard_track: false, deprecated: true },
+  },
+  renamed: {
+    support: {
+      chrome: { version_added: '12', alternative_name: 'webkitThing' },
+      safari: { version_added: true },
+    },
+  },
+};
+
+/**
+ * @param {string} expression
+ * @param {string} [browser]
+ * @returns {string[]} The names of the features matching the filter
+ */
+const matching = (expression, browser) => {
+  const filter = parseFilter(expression, { data, browser });
+  return Object.keys(features).filter(name => filter(features[name]));
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'conditions apply to the default browser',
+    () => {
+      assert.deepStrictEqual(matching('flags', 'chrome'), ['flagged']);
+      assert.deepStrictEqual(matching('prefix', 'safari'), ['prefixed']);
+      assert.deepStrictEqual(matching('partial_implementation', 'chrome'), [
+        'partial',
+      ]);
+      assert.deepStrictEqual(matching('notes', 'chrome'), ['partial']);
+      assert.deepStrictEqual(matching('alternative_name', 'chrome'), [
+        'renamed',
+      ]);
+    },
+  ],
+  [
+    'prefixes and alternative names can be compared to a name',
+    () => {
+      assert.deepStrictEqual(matching('prefix = webkit', 'safari'), [
+        'prefixed',
+      ]);
+      assert.deepStrictEqual(matching('prefix = moz', 'safari'), []);
+      assert.deepStrictEqual(matching('alternative_name != thing', 'chrome'), [
+        'renamed',
+      ]);
+    },
+  ],
+  [
+    'unprefixed requires support without prefix, name or flags',
+    () =>
+      assert.deepStrictEqual(matching('unprefixed', 'chrome'), [
+        'prefixed',
+        'partial',
+      ]),
+  ],
+  [
+    'versions can be compared',
+    () => {
+      assert.deepStrictEqual(matching('added >= 37', 'chrome'), [
+        'flagged',
+        'partial',
+      ]);
+      assert.deepStrictEqual(matching('added < 37', 'chrome'), [
+        'prefixed',
+        'renamed',
+      ]);
+      assert.deepStrictEqual(matching('added = true', 'safari'), ['renamed']);
+      assert.deepStrictEqual(matching('removed = 9', 'safari'), ['prefixed']);
+      assert.deepStrictEqual(matching('added = null', 'safari'), ['partial']);
+    },
+  ],
+  [
+    'status conditions need no browser',
+    () => {
+      assert.deepStrictEqual(matching('experimental'), ['flagged']);
+      assert.deepStrictEqual(matching('not standard_track'), [
+        'partial',
+        'renamed',
+      ]);
+    },
+  ],
+  [
+    'browsers are combined with and, or and not',
+    () => {
+      assert.deepStrictEqual(matching('safari:prefix and chrome:unprefixed'), [
+        'prefixed',
+      ]);
+      assert.deepStrictEqual(matching('chrome:flags || safari:added = true'), [
+        'flagged',
+        'renamed',
+      ]);
+      assert.deepStrictEqual(
+        matching('chrome:(added and !(flags or notes)) && !deprecated'),
+        ['prefixed', 'renamed'],
+      );
+    },
+  ],
+  [
+    'any and all apply to the browsers with support data',
+    () => {
+      assert.deepStrictEqual(matching('any:notes'), ['partial']);
+      assert.deepStrictEqual(matching('all:added'), [
+        'prefixed',
+        'partial',
+        'renamed',
+      ]);
+    },
+  ],
+  [
+    'invalid filters are reported',
+    () => {
+      assert.throws(() => matching('prefx', 'chrome'), /Did you mean "prefix"/);
+      assert.throws(() => matching('chorme:flags'), /Did you mean "chrome"/);
+      assert.throws(() => matching('flags'), /needs a browser/);
+      assert.throws(() => matching('flags < 3', 'chrome'), /can't be compared/);
+      assert.throws(() => matching('added > true', 'chrome'), /release/);
+      assert.throws(() => matching('(flags', 'chrome'), /Expected "\)"/);
+      assert.throws(() => matching('flags notes', 'chrome'), /Unexpected/);
+      assert.throws(() => matching('flags & notes', 'chrome'), /position 7/);
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the filter parser isn't functioning properly
+ */
+const testFilter = () => runTests('Filter', tests);
+
+module.exports = testFilter;
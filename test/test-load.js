@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTests } = require('./utils.js');
+
+const bcd = require('..');
+const { load, loadLazily } = require('../utils/load.js');
+const { findSyntaxError } = require('../utils/parse-json.js');
+
+const categories = Object.keys(bcd);
+
+/**
+ * Write fixture files to a temporary directory, and load it
+ *
+ * @param {Record<string, string>} files The contents of the files, by name
+ * @param {import('../utils/load.js').LoadOptions} options
+ * @returns {object}
+ */
+const loadFixtures = (files, options) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-load-'));
+  try {
+    for (const [name, contents] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), contents, 'utf-8');
+    }
+    return load([dir], options);
+  } finally {
+    for (const name of Object.keys(files)) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+    fs.rmdirSync(dir);
+  }
+};
+
+/**
+ * @param {string} browser
+ * @param {string} version
+ * @returns {string}
+ */
+const featureFile = (browser, version) =>
+  JSON.stringify({
+    api: {
+      Foo: {
+        __compat: { support: { [browser]: { version_added: version } } },
+      },
+    },
+  });
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'lazy and eager loading produce identical data',
+    () => {
+      const eager = load(categories);
+      assert.deepStrictEqual(Object.keys(eager), categories);
+      assert.ok(
+        JSON.stringify(eager) ===
+          JSON.stringify(loadLazily(categories, { buildDir: null })),
+        'Lazily loaded data differs from eagerly loaded data',
+      );
+    },
+  ],
+  [
+    'categories are only loaded when accessed',
+    () => {
+      const data = loadLazily(['css', 'xpath'], { buildDir: null });
+      assert.ok(data.xpath.axes);
+      assert.strictEqual(
+        typeof Object.getOwnPropertyDescriptor(data, 'css').get,
+        'function',
+      );
+      assert.strictEqual(
+        Object.getOwnPropertyDescriptor(data, 'xpath').value,
+        data.xpath,
+      );
+    },
+  ],
+  [
+    'categories can be replaced',
+    () => {
+      const data = loadLazily(['css']);
+      data.css = {};
+      assert.deepStrictEqual(data.css, {});
+    },
+  ],
+  [
+    'all of the data loads in strict mode',
+    () => {
+      assert.ok(load(categories, { strict: true }));
+    },
+  ],
+  [
+    'strict mode reports the file and position of syntax errors',
+    () => {
+      const files = { 'broken.json': '{\n  "api": {\n    "Foo": {,}\n  }\n}' };
+      assert.throws(
+        () => loadFixtures(files, { strict: true }),
+        /broken\.json \(Ln 3, Col 13\)/,
+      );
+      assert.deepStrictEqual(loadFixtures(files, {}), {});
+    },
+  ],
+  [
+    'strict mode reports colliding __compat blocks',
+    () => {
+      const files = {
+        'a.json': featureFile('chrome', '1'),
+        'b.json': featureFile('chrome', '2'),
+      };
+      assert.throws(
+        () => loadFixtures(files, { strict: true }),
+        /a\.json and .*b\.json both define the __compat block of "api\.Foo" \(with conflicting support statements for chrome\)/,
+      );
+      assert.strictEqual(
+        loadFixtures(files, {}).api.Foo.__compat.support.chrome.version_added,
+        '2',
+      );
+    },
+  ],
+  [
+    'strict mode reports colliding values',
+    () => {
+      const files = {
+        'a.json': '{"browsers": {"chrome": {"name": "Chrome"}}}',
+        'b.json': '{"browsers": {"chrome": {"name": "Chromium"}}}',
+      };
+      assert.throws(
+        () => loadFixtures(files, { strict: true }),
+        /both define "browsers\.chrome\.name"/,
+      );
+    },
+  ],
+  [
+    'strict mode allows files to define different features',
+    () => {
+      const data = loadFixtures(
+        {
+          'a.json': featureFile('chrome', '1'),
+          'b.json': '{"api": {"Foo": {"bar": {"__compat": {"support": {}}}}}}',
+        },
+        { strict: true },
+      );
+      assert.deepStrictEqual(Object.keys(data.api.Foo), ['__compat', 'bar']);
+    },
+  ],
+  [
+    'syntax errors are found at the same position as JSON.parse() does',
+    () => {
+      /** @type {[string, number][]} */
+      const cases = [
+        ['{"a": 1}', -1],
+        ['[1, -2.5e3, true, false, null, "\\u00e9"]', -1],
+        ['{"a": }', 6],
+        ['{"a": 1,}', 8],
+        ['{"a": 1', 7],
+        ['{"a": 1}}', 8],
+        ['{"a" 1}', 5],
+        ['{"a": [1, 2,]}', 12],
+        ['{"a": "\\x"}', 8],
+        ['{"a": tru}', 9],
+        ['', 0],
+      ];
+      for (const [text, expected] of cases) {
+        assert.strictEqual(findSyntaxError(text), expected, text);
+      }
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If loading the data isn't functioning properly
+ */
+const testLoad = () => runTests('Load', tests);
+
+module.exports = testLoad;
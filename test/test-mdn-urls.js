@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const {
+  normalizeMdnUrl,
+  lookupMdnUrl,
+  getSharedMdnUrls,
+} = require('../utils/mdn-urls.js');
+
+const MDN = 'https://developer.mozilla.org/docs/Web/API';
+
+/**
+ * @param {string} [mdn_url]
+ * @returns {object}
+ */
+const compat = mdn_url => ({
+  __compat: Object.assign(
+    { support: { chrome: { version_added: '1' } } },
+    mdn_url && { mdn_url },
+  ),
+});
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+  },
+  api: {
+    Selection: Object.assign(compat(`${MDN}/Selection`), {
+      collapse: compat(`${MDN}/Selection/collapse`),
+      setPosition: compat(`${MDN}/Selection/collapse`),
+      type: compat(),
+    }),
+    XMLHttpRequest: {
+      responseType: Object.assign(
+        compat(`${MDN}/XMLHttpRequest/responseType`),
+        {
+          blob: compat(`${MDN}/XMLHttpRequest/responseType#blob`),
+          json: compat(`${MDN}/XMLHttpRequest/responseType#json`),
+        },
+      ),
+    },
+  },
+};
+
+/**
+ * @param {string} url
+ * @returns {string[]}
+ */
+const paths = url => lookupMdnUrl(data, url).map(match => match.path);
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'URLs are normalized',
+    () => {
+      const expected = { page: 'docs/web/api/selection', fragment: null };
+      for (const url of [
+        'https://developer.mozilla.org/docs/Web/API/Selection',
+        'https://developer.mozilla.org/en-US/docs/Web/API/Selection/',
+        'http://developer.mozilla.org/zh-CN/docs/Web/API/Selection?raw',
+        'developer.mozilla.org/de/docs/web/api/selection',
+        '/fr/docs/Web/API/Selection',
+        'docs/Web/API/Selection/',
+        'Web/API/Selection',
+      ]) {
+        assert.deepStrictEqual(normalizeMdnUrl(url), expected, url);
+      }
+      assert.deepStrictEqual(normalizeMdnUrl('/en-US/docs/Web/CSS/angle#Deg'), {
+        page: 'docs/web/css/angle',
+        fragment: 'deg',
+      });
+      assert.deepStrictEqual(normalizeMdnUrl('/docs/Web/CSS/%3Ahover'), {
+        page: 'docs/web/css/:hover',
+        fragment: null,
+      });
+    },
+  ],
+  [
+    'other URLs are reported',
+    () => {
+      assert.throws(() => normalizeMdnUrl('https://example.com/docs/x'), /MDN/);
+      assert.throws(() => normalizeMdnUrl('#section'), /MDN/);
+    },
+  ],
+  [
+    'features are looked up by page',
+    () => {
+      assert.deepStrictEqual(paths('/en-US/docs/Web/API/Selection/'), [
+        'api.Selection',
+      ]);
+      assert.deepStrictEqual(paths('Web/API/Selection/type'), []);
+    },
+  ],
+  [
+    'sections of a page are found with the page',
+    () => {
+      assert.deepStrictEqual(paths('Web/API/XMLHttpRequest/responseType'), [
+        'api.XMLHttpRequest.responseType',
+        'api.XMLHttpRequest.responseType.blob',
+        'api.XMLHttpRequest.responseType.json',
+      ]);
+      assert.deepStrictEqual(
+        paths('Web/API/XMLHttpRequest/responseType#JSON'),
+        ['api.XMLHttpRequest.responseType.json'],
+      );
+    },
+  ],
+  [
+    'features sharing a page are flagged',
+    () => {
+      assert.deepStrictEqual(lookupMdnUrl(data, `${MDN}/Selection/collapse`), [
+        {
+          path: 'api.Selection.collapse',
+          mdn_url: `${MDN}/Selection/collapse`,
+          shared: true,
+        },
+        {
+          path: 'api.Selection.setPosition',
+          mdn_url: `${MDN}/Selection/collapse`,
+          shared: true,
+        },
+      ]);
+      assert.deepStrictEqual(getSharedMdnUrls(data), [
+        {
+          mdn_url: `${MDN}/Selection/collapse`,
+          paths: ['api.Selection.collapse', 'api.Selection.setPosition'],
+        },
+      ]);
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the MDN URL index isn't functioning properly
+ */
+const testMdnUrls = () => runTests('MDN URLs', tests);
+
+module.exports = testMdnUrls;
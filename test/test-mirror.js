@@ -0,0 +1,478 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTests } = require('./utils.js');
+
+const bcd = require('..');
+const {
+  getSource,
+  combineNotes,
+  updateNotes,
+  mirrorSupport,
+  getDerivedBrowsers,
+  getConflict,
+} = require('../utils/mirror.js');
+const mirrorData = require('../scripts/mirror.js');
+
+/**
+ * Mirror some support onto a browser, and return its new support
+ *
+ * @param {string} dest The destination browser
+ * @param {object} support The support of the feature
+ * @param {object} [options] The options of `mirrorSupport()`, besides the data
+ * @returns {object}
+ */
+const mirror = (dest, support, options = {}) =>
+  mirrorSupport({ support }, dest, Object.assign({ data: bcd }, options))
+    .support[dest];
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'Browsers are mirrored from their upstream browser by default',
+    () => {
+      assert.strictEqual(getSource(bcd, 'opera'), 'chrome');
+      assert.strictEqual(getSource(bcd, 'webview_android'), 'chrome_android');
+      assert.strictEqual(getSource(bcd, 'edge', 'chrome'), 'chrome');
+      assert.throws(
+        () => getSource(bcd, 'chrome'),
+        /chrome has no upstream browser/,
+      );
+    },
+  ],
+  [
+    'Upstream browsers share an engine',
+    () => {
+      for (const browser of Object.keys(bcd.browsers)) {
+        const { upstream } = bcd.browsers[browser];
+        if (!upstream || browser === 'edge') {
+          continue;
+        }
+
+        const engines = Object.values(bcd.browsers[upstream].releases).map(
+          release => release.engine,
+        );
+        assert.ok(
+          Object.values(bcd.browsers[browser].releases).some(
+            release => release.engine && engines.includes(release.engine),
+          ),
+          `${browser} shares no engine with ${upstream}`,
+        );
+      }
+    },
+  ],
+  [
+    'Notes are combined and updated',
+    () => {
+      assert.strictEqual(combineNotes(null, undefined), null);
+      assert.strictEqual(combineNotes('a', null), 'a');
+      assert.strictEqual(combineNotes('a', 'a'), 'a');
+      assert.deepStrictEqual(combineNotes(['a', 'b'], 'c'), ['a', 'b', 'c']);
+      assert.strictEqual(updateNotes(null, /Chrome/g, 'Opera'), null);
+      assert.deepStrictEqual(
+        updateNotes(['Chrome and Chrome', 'Firefox'], /Chrome/g, 'Opera'),
+        ['Opera and Opera', 'Firefox'],
+      );
+    },
+  ],
+  [
+    'chrome_android',
+    () => {
+      assert.deepStrictEqual(
+        mirror('chrome_android', { chrome: { version_added: '10' } }),
+        { version_added: '18' },
+      );
+      assert.deepStrictEqual(
+        mirror('chrome_android', {
+          chrome: [
+            { version_added: '20', notes: 'A note' },
+            { version_added: '30', version_removed: '12', prefix: 'webkit' },
+          ],
+        }),
+        [
+          { version_added: '25', notes: 'A note' },
+          { version_added: '30', version_removed: '18', prefix: 'webkit' },
+        ],
+      );
+    },
+  ],
+  [
+    'edge',
+    () => {
+      assert.deepStrictEqual(
+        mirror('edge', {
+          ie: { version_added: '9', notes: 'Internet Explorer needs a flag.' },
+        }),
+        { version_added: '12', notes: 'Edge needs a flag.' },
+      );
+      assert.deepStrictEqual(
+        mirror('edge', { ie: { version_added: '6', version_removed: '9' } }),
+        { version_added: false },
+      );
+      assert.deepStrictEqual(mirror('edge', { ie: { version_added: null } }), {
+        version_added: null,
+      });
+      assert.deepStrictEqual(
+        mirror(
+          'edge',
+          {
+            chrome: { version_added: '50', notes: 'Chrome does this.' },
+            edge: { version_added: null, notes: 'Edge does that.' },
+          },
+          { source: 'chrome' },
+        ),
+        {
+          version_added: '≤79',
+          notes: ['Edge does this.', 'Edge does that.'],
+        },
+      );
+      assert.deepStrictEqual(
+        mirror(
+          'edge',
+          { chrome: { version_added: '50' } },
+          { source: 'chrome' },
+        ),
+        { version_added: '≤79' },
+      );
+      assert.deepStrictEqual(
+        mirror(
+          'edge',
+          {
+            chrome: { version_added: '85' },
+            edge: { version_added: false },
+          },
+          { source: 'chrome', modify: 'bool' },
+        ),
+        { version_added: '85' },
+      );
+    },
+  ],
+  [
+    'firefox_android',
+    () => {
+      assert.deepStrictEqual(
+        mirror('firefox_android', {
+          firefox: { version_added: '2', version_removed: '60' },
+        }),
+        { version_added: '4', version_removed: '60' },
+      );
+      assert.deepStrictEqual(
+        mirror('firefox_android', { firefox: { version_added: '12' } }),
+        { version_added: '14' },
+      );
+      assert.deepStrictEqual(
+        mirror('firefox_android', {
+          firefox: { version_added: true, version_removed: '71' },
+        }),
+        { version_added: true, version_removed: '79' },
+      );
+      assert.deepStrictEqual(
+        mirror('firefox_android', { firefox: { version_added: '84' } }),
+        { version_added: false },
+      );
+    },
+  ],
+  [
+    'opera',
+    () => {
+      assert.deepStrictEqual(
+        mirror('opera', {
+          chrome: { version_added: '10', notes: 'Only in Chrome.' },
+        }),
+        { version_added: '15', notes: 'Only in Opera.' },
+      );
+      assert.deepStrictEqual(
+        mirror('opera', {
+          chrome: { version_added: '50', version_removed: '70' },
+        }),
+        { version_added: '37', version_removed: '57' },
+      );
+      assert.deepStrictEqual(
+        mirror('opera', { chrome: { version_added: '≤18' } }),
+        { version_added: '≤15' },
+      );
+    },
+  ],
+  [
+    'opera_android',
+    () => {
+      assert.deepStrictEqual(
+        mirror('opera_android', { chrome_android: { version_added: '50' } }),
+        { version_added: '37' },
+      );
+      assert.deepStrictEqual(
+        mirror('opera_android', {
+          chrome_android: { version_added: '18', version_removed: '28' },
+        }),
+        { version_added: '14', version_removed: '15' },
+      );
+    },
+  ],
+  [
+    'safari_ios',
+    () => {
+      assert.deepStrictEqual(
+        mirror('safari_ios', { safari: { version_added: '10' } }),
+        { version_added: '10' },
+      );
+      assert.deepStrictEqual(
+        mirror('safari_ios', { safari: { version_added: '3.1' } }),
+        { version_added: '2' },
+      );
+    },
+  ],
+  [
+    'samsunginternet_android',
+    () => {
+      assert.deepStrictEqual(
+        mirror('samsunginternet_android', {
+          chrome_android: { version_added: '50', notes: 'As in Chrome.' },
+        }),
+        { version_added: '5.0', notes: 'As in Samsung Internet.' },
+      );
+      assert.deepStrictEqual(
+        mirror('samsunginternet_android', {
+          chrome_android: { version_added: '18' },
+        }),
+        { version_added: '1.5' },
+      );
+      assert.deepStrictEqual(
+        mirror('samsunginternet_android', {
+          chrome_android: {
+            version_added: '56',
+            notes: ['Chrome 56 supports only Google Daydream View.', 'Other.'],
+          },
+        }),
+        {
+          version_added: '6.0',
+          notes: ['Chrome 56 supports only Google Daydream View.', 'Other.'],
+        },
+      );
+    },
+  ],
+  [
+    'webview_android',
+    () => {
+      assert.deepStrictEqual(
+        mirror('webview_android', { chrome_android: { version_added: '18' } }),
+        { version_added: '1' },
+      );
+      assert.deepStrictEqual(
+        mirror('webview_android', { chrome_android: { version_added: '25' } }),
+        { version_added: '≤37' },
+      );
+      assert.deepStrictEqual(
+        mirror('webview_android', { chrome_android: { version_added: '28' } }),
+        { version_added: '≤37' },
+      );
+      assert.deepStrictEqual(
+        mirror('webview_android', { chrome_android: { version_added: '31' } }),
+        { version_added: '4.4' },
+      );
+      assert.deepStrictEqual(
+        mirror('webview_android', {
+          chrome_android: [
+            { version_added: '26' },
+            { version_added: '18', version_removed: '26', prefix: 'webkit' },
+          ],
+        }),
+        [
+          { version_added: '≤37' },
+          { version_added: '1', version_removed: '≤37', prefix: 'webkit' },
+        ],
+      );
+      assert.deepStrictEqual(
+        mirror('webview_android', {
+          chrome_android: { version_added: '60', notes: 'Chrome only.' },
+        }),
+        { version_added: '60', notes: 'WebView only.' },
+      );
+    },
+  ],
+  [
+    'Statements removed before the destination supported them are left out',
+    () => {
+      assert.strictEqual(
+        mirror('opera_android', {
+          chrome_android: { version_added: '18', version_removed: '25' },
+        }),
+        undefined,
+      );
+      assert.deepStrictEqual(
+        mirror('opera_android', {
+          chrome_android: [
+            { version_added: '50' },
+            { version_added: '18', version_removed: '25', prefix: 'webkit' },
+          ],
+        }),
+        { version_added: '37' },
+      );
+    },
+  ],
+  [
+    'Browsers without a shared engine are not mirrored',
+    () => {
+      assert.throws(
+        () =>
+          mirror(
+            'ie',
+            { chrome: { version_added: '9' } },
+            { source: 'chrome' },
+          ),
+        /ie has no releases on an engine of chrome/,
+      );
+      assert.throws(
+        () =>
+          mirror(
+            'nodejs',
+            { chrome: { version_added: '42' } },
+            { source: 'chrome' },
+          ),
+        /nodejs has no releases on an engine of chrome/,
+      );
+      assert.throws(
+        () => mirror('qq_android', {}, { source: 'chrome_android' }),
+        /qq_android has no releases on an engine of chrome_android/,
+      );
+    },
+  ],
+  [
+    'Real values are only replaced when asked',
+    () => {
+      const support = {
+        chrome: { version_added: '10' },
+        opera: { version_added: false },
+      };
+      assert.deepStrictEqual(mirror('opera', support), {
+        version_added: false,
+      });
+      assert.deepStrictEqual(mirror('opera', support, { modify: 'bool' }), {
+        version_added: '15',
+      });
+      support.opera.version_added = '11';
+      assert.deepStrictEqual(mirror('opera', support, { modify: 'bool' }), {
+        version_added: '11',
+      });
+      assert.deepStrictEqual(mirror('opera', support, { modify: 'always' }), {
+        version_added: '15',
+      });
+      assert.throws(
+        () => mirror('opera', support, { modify: 'sometimes' }),
+        /"sometimes" is not a valid modify mode/,
+      );
+    },
+  ],
+  [
+    'The data is not changed',
+    () => {
+      const compat = {
+        support: {
+          chrome: { version_added: '50', notes: 'Chrome does this.' },
+          edge: { version_added: null },
+        },
+      };
+      const copy = JSON.parse(JSON.stringify(compat));
+      const mirrored = mirrorSupport(compat, 'edge', {
+        source: 'chrome',
+        data: bcd,
+      });
+      assert.deepStrictEqual(compat, copy);
+      assert.notStrictEqual(mirrored, compat);
+      assert.strictEqual(
+        mirrorSupport(mirrored, 'edge', { source: 'chrome', data: bcd }),
+        mirrored,
+      );
+    },
+  ],
+  [
+    'Dry runs list the changes without writing them',
+    () => {
+      const file = path.join(__dirname, '..', 'api', 'XMLHttpRequest.json');
+      const contents = fs.readFileSync(file, 'utf-8');
+      const { changes } = mirrorData(
+        'opera',
+        'api/XMLHttpRequest.json',
+        undefined,
+        'always',
+        { dryRun: true },
+      );
+
+      assert.strictEqual(fs.readFileSync(file, 'utf-8'), contents);
+      assert.ok(changes.length > 0);
+      for (const change of changes) {
+        assert.ok(change.path.startsWith('api.XMLHttpRequest'));
+        assert.strictEqual(
+          change.file,
+          path.join('api', 'XMLHttpRequest.json'),
+        );
+        assert.strictEqual(change.browser, 'opera');
+        assert.notDeepStrictEqual(change.before, change.after);
+      }
+    },
+  ],
+  [
+    'Conflicts between real and derived support are found',
+    () => {
+      const compat = {
+        support: {
+          chrome: { version_added: '10' },
+          opera: { version_added: '11' },
+        },
+      };
+      assert.deepStrictEqual(getConflict(compat, 'opera', { data: bcd }), {
+        current: { version_added: '11' },
+        derived: { version_added: '15' },
+      });
+
+      compat.support.opera.version_added = '15';
+      assert.strictEqual(getConflict(compat, 'opera', { data: bcd }), null);
+      compat.support.opera.version_added = '≤18';
+      assert.strictEqual(getConflict(compat, 'opera', { data: bcd }), null);
+      compat.support.opera.version_added = '11';
+      compat.support.chrome.version_added = null;
+      assert.strictEqual(getConflict(compat, 'opera', { data: bcd }), null);
+    },
+  ],
+  [
+    'All derived browsers are mirrored after their upstream browser',
+    () => {
+      const browsers = getDerivedBrowsers(bcd);
+      assert.ok(browsers.includes('opera'));
+      assert.ok(!browsers.includes('chrome'));
+      assert.ok(
+        browsers.indexOf('chrome_android') <
+          browsers.indexOf('webview_android'),
+      );
+
+      const { changes, conflicts } = mirrorData(
+        'all',
+        'api/XMLHttpRequest.json',
+        undefined,
+        'nonreal',
+        { dryRun: true },
+      );
+      assert.ok(changes.every(change => browsers.includes(change.browser)));
+      assert.ok(conflicts.length > 0);
+      for (const conflict of conflicts) {
+        assert.strictEqual(
+          conflict.source,
+          bcd.browsers[conflict.browser].upstream,
+        );
+        assert.notDeepStrictEqual(conflict.current, conflict.derived);
+        assert.strictEqual(conflict.overwritten, false);
+      }
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If mirroring isn't functioning properly
+ */
+const testMirror = () => runTests('Mirror', tests);
+
+module.exports = testMirror;
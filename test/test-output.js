@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { toCSV, formatRows } = require('../utils/output.js');
+
+const rows = [
+  { path: 'api.Request', statement: { version_added: '40' } },
+  { path: 'css.properties.color', statement: null },
+];
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'CSV cells are quoted when needed',
+    () =>
+      assert.strictEqual(
+        toCSV(
+          [
+            { a: 'plain', b: 'with, comma' },
+            { a: 'with "quotes"', b: 'two\nlines' },
+            { a: null, b: undefined },
+            { a: false, b: ['x'] },
+          ],
+          ['a', 'b'],
+        ),
+        'a,b\nplain,"with, comma"\n"with ""quotes""","two\nlines"\nnull,\nfalse,"[""x""]"',
+      ),
+  ],
+  [
+    'rows are written as JSON and NDJSON',
+    () => {
+      assert.deepStrictEqual(JSON.parse(formatRows(rows, 'json')), rows);
+      assert.deepStrictEqual(
+        formatRows(rows, 'ndjson')
+          .split('\n')
+          .map(line => JSON.parse(line)),
+        rows,
+      );
+    },
+  ],
+  [
+    'rows are flattened for CSV',
+    () => {
+      const flatten = ({ path, statement }) => ({
+        path,
+        version_added: statement ? statement.version_added : undefined,
+      });
+      assert.strictEqual(
+        formatRows(rows, 'csv', { flatten }),
+        'path,version_added\napi.Request,40\ncss.properties.color,',
+      );
+      assert.strictEqual(
+        formatRows([], 'csv', { columns: ['path', 'version_added'] }),
+        'path,version_added',
+      );
+    },
+  ],
+  [
+    'unknown formats are reported',
+    () => assert.throws(() => formatRows(rows, 'xml'), /not an output format/),
+  ],
+];
+
+/**
+ * @returns {boolean} If the output formats aren't functioning properly
+ */
+const testOutput = () => runTests('Output', tests);
+
+module.exports = testOutput;
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { get, has, children } = require('../utils/query.js');
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+  },
+  api: {
+    Request: {
+      __compat: { support: { chrome: { version_added: '40' } } },
+      referrerPolicy: {
+        __compat: { support: { chrome: { version_added: '52' } } },
+      },
+      Request: {
+        __compat: { support: { chrome: { version_added: '40' } } },
+        init_referrerPolicy: {
+          __compat: { support: { chrome: { version_added: '52' } } },
+        },
+      },
+    },
+    Response: {
+      __compat: { support: { chrome: { version_added: '40' } } },
+    },
+    BackgroundFetchManager: {
+      __compat: { support: { chrome: { version_added: '74' } } },
+      fetch: {
+        __compat: { support: { chrome: { version_added: '74' } } },
+      },
+    },
+    Window: {
+      __compat: { support: { chrome: { version_added: '1' } } },
+      frames: {
+        __compat: { support: { chrome: { version_added: '1' } } },
+      },
+    },
+  },
+  css: {
+    properties: {
+      color: {
+        __compat: { support: { chrome: { version_added: '1' } } },
+      },
+    },
+  },
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'get() returns the __compat statement',
+    () =>
+      assert.strictEqual(
+        get(data, 'api.Request.Request.init_referrerPolicy'),
+        data.api.Request.Request.init_referrerPolicy.__compat,
+      ),
+  ],
+  [
+    'get() returns undefined for identifiers without __compat',
+    () => assert.strictEqual(get(data, 'css.properties'), undefined),
+  ],
+  [
+    'get() names the closest existing path for a misspelled segment',
+    () =>
+      assert.throws(
+        () => get(data, 'api.Reqest.Request.init_referrerPolicy'),
+        /no "Reqest" in "api"\. Did you mean "api\.Request\.Request\.init_referrerPolicy"\?/,
+      ),
+  ],
+  [
+    'get() names the closest existing path for a misspelled last segment',
+    () =>
+      assert.throws(
+        () => get(data, 'api.Request.referrerPolicyy'),
+        /Did you mean "api\.Request\.referrerPolicy"\?/,
+      ),
+  ],
+  [
+    'get() prefers the closest name over a sibling with more matching segments',
+    () =>
+      assert.throws(
+        () => get(data, 'api.Windw.fetch'),
+        /no "Windw" in "api"\. Did you mean "api\.Window\./,
+      ),
+  ],
+  [
+    'get() names the closest category for a misspelled category',
+    () =>
+      assert.throws(
+        () => get(data, 'CSS.properties.color'),
+        /no "CSS" in the top level\. Did you mean "css\.properties\.color"\?/,
+      ),
+  ],
+  [
+    'get() does not treat __compat as a subfeature',
+    () => assert.throws(() => get(data, 'api.Request.__compat')),
+  ],
+  [
+    'has() checks whether an identifier exists',
+    () => {
+      assert.strictEqual(has(data, 'api.Request.referrerPolicy'), true);
+      assert.strictEqual(has(data, 'css.properties'), true);
+      assert.strictEqual(has(data, 'api.Request.referrerPolicyy'), false);
+      assert.strictEqual(has(data, 'api.Request.__compat'), false);
+      assert.strictEqual(has(data, 'browsers'), false);
+    },
+  ],
+  [
+    'children() lists subfeature names',
+    () => {
+      assert.deepStrictEqual(children(data, 'api.Request'), [
+        'referrerPolicy',
+        'Request',
+      ]);
+      assert.deepStrictEqual(children(data, 'api.Response'), []);
+    },
+  ],
+  [
+    'children() lists the categories at the top level',
+    () => assert.deepStrictEqual(children(data), ['api', 'css']),
+  ],
+];
+
+/**
+ * @returns {boolean} If the query functions aren't functioning properly
+ */
+const testQuery = () => runTests('Query', tests);
+
+module.exports = testQuery;
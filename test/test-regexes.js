@@ -1,8 +1,9 @@
 'use strict';
 const assert = require('assert');
+const { runTests } = require('./utils.js');
 
 /**
- * @typedef {import('../types').Identifier} Identifier
+ * @typedef {import('../types').CompatStatement} CompatStatement
  *
  * @typedef {object} TestCase
  * @property {string[]} features
@@ -10,27 +11,15 @@ const assert = require('assert');
  * @property {string[]} misses
  */
 
-/** @type {Identifier} */
 const bcd = require('..');
 
 /**
- * @param {string} dottedFeature
- */
-function lookup(dottedFeature) {
-  const x = dottedFeature.split('.');
-  const feature = x.reduce((prev, current) => prev[current], bcd);
-  return feature;
-}
-
-/**
- * @param {Identifier} feature
+ * @param {CompatStatement} compat
  * @param {string[]} matches
  * @param {string[]} misses
  */
-function testToken(feature, matches, misses) {
-  const str =
-    feature.__compat.matches.regex_token ||
-    feature.__compat.matches.regex_value;
+function testToken(compat, matches, misses) {
+  const str = compat.matches.regex_token || compat.matches.regex_value;
   const regexp = new RegExp(str);
 
   matches.forEach(match =>
@@ -42,9 +31,9 @@ function testToken(feature, matches, misses) {
 }
 
 /** @type {TestCase[]} */
-const tests = [
+const cases = [
   {
-    features: ['css.properties.color.alpha_hexadecimal_notation'],
+    features: ['css.types.color.alpha_hexadecimal_notation'],
     matches: ['#003399ff', '#0af9'],
     misses: ['#00aaff', '#0af', 'green', '#greenish'],
   },
@@ -63,6 +52,16 @@ const tests = [
   },
 ];
 
-tests.forEach(({ features, matches, misses }) => {
-  features.forEach(feature => testToken(lookup(feature), matches, misses));
-});
+/** @type {[string, () => void][]} */
+const tests = cases.map(({ features, matches, misses }) => [
+  features.join(', '),
+  () =>
+    features.forEach(feature => testToken(bcd.get(feature), matches, misses)),
+]);
+
+/**
+ * @returns {boolean} If the regexes of the features don't match as expected
+ */
+const testRegexes = () => runTests('Regexes', tests);
+
+module.exports = testRegexes;
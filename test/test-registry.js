@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTests } = require('./utils.js');
+
+const bcd = require('..');
+const {
+  BROWSER_GROUPS,
+  CATEGORIES,
+  FEATURE_CATEGORIES,
+  WEB_CATEGORIES,
+  getCategoryBrowsers,
+  getCategoriesOfBrowser,
+} = require('../utils/registry.js');
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'every category is a directory',
+    () => {
+      for (const category of CATEGORIES) {
+        const dir = path.resolve(__dirname, '..', category);
+        assert.ok(
+          fs.existsSync(dir) && fs.statSync(dir).isDirectory(),
+          `${category}/ is a directory`,
+        );
+      }
+    },
+  ],
+  [
+    'every browser is in a group and every grouped browser exists',
+    () => {
+      const grouped = [
+        ...BROWSER_GROUPS.desktop,
+        ...BROWSER_GROUPS.mobile,
+        ...BROWSER_GROUPS.server,
+      ];
+      assert.deepStrictEqual(
+        grouped.slice().sort(),
+        Object.keys(bcd.browsers).sort(),
+      );
+      for (const group of Object.keys(BROWSER_GROUPS)) {
+        for (const browser of BROWSER_GROUPS[group]) {
+          assert.ok(browser in bcd.browsers, `${browser} in ${group}`);
+        }
+      }
+    },
+  ],
+  [
+    'categories are split into features and web platform features',
+    () => {
+      assert.ok(!FEATURE_CATEGORIES.includes('browsers'));
+      assert.ok(FEATURE_CATEGORIES.includes('webextensions'));
+      assert.ok(!WEB_CATEGORIES.includes('webextensions'));
+      assert.ok(WEB_CATEGORIES.includes('xslt'));
+    },
+  ],
+  [
+    'the browsers of a category are resolved from its groups',
+    () => {
+      const api = getCategoryBrowsers('api');
+      assert.ok(api.browsers.includes('nodejs'));
+      assert.deepStrictEqual(
+        api.required,
+        BROWSER_GROUPS.desktop.slice().sort(),
+      );
+      assert.deepStrictEqual(api.realValues, []);
+      assert.ok(!getCategoryBrowsers('css').browsers.includes('nodejs'));
+      assert.deepStrictEqual(getCategoryBrowsers('webextensions').browsers, [
+        'chrome',
+        'edge',
+        'firefox',
+        'firefox_android',
+        'opera',
+        'safari',
+      ]);
+      assert.throws(
+        () => getCategoryBrowsers('cs'),
+        /"cs" is not a category. Did you mean "css"\?/,
+      );
+    },
+  ],
+  [
+    'the categories of a browser are those which may list it',
+    () => {
+      assert.deepStrictEqual(getCategoriesOfBrowser('nodejs'), [
+        'api',
+        'javascript',
+      ]);
+      assert.ok(
+        getCategoriesOfBrowser('firefox_android').includes('webextensions'),
+      );
+      assert.ok(
+        !getCategoriesOfBrowser('opera_android').includes('webextensions'),
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the registry doesn't match the data
+ */
+const testRegistry = () => runTests('Registry', tests);
+
+module.exports = testRegistry;
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcd = require('..');
+const { createGitRepo, runTests } = require('./utils.js');
+
+const {
+  stats,
+  countAuthors,
+  contributors,
+  countFeatures,
+  releaseBody,
+  makeURL,
+} = require('../scripts/release-notes.js');
+const { removeDir } = require('../utils/snapshot.js');
+
+const notes = {
+  version: 'v1.0.1',
+  previousVersion: 'v1.0.0',
+  changes: '- No changes to the data',
+  stats: { commits: 3, changed: 2, insertions: 10, deletions: 1 },
+  releaseContributors: 2,
+  totalContributors: 50,
+  features: 1000,
+  stars: 3000,
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'Commits and contributors are counted',
+    () => {
+      const repo = createGitRepo([
+        {
+          files: { 'a.txt': 'a\n' },
+          author: 'a@example.com',
+          tag: 'v1.0.0',
+        },
+        {
+          files: { 'a.txt': 'a\nb\n', 'b.txt': 'b\n' },
+          author: 'b@example.com',
+        },
+        {
+          files: { 'a.txt': 'b\n' },
+          author: 'A@example.com',
+          tag: 'v1.0.1',
+        },
+      ]);
+
+      try {
+        assert.deepStrictEqual(stats('v1.0.1', 'v1.0.0', repo), {
+          commits: 2,
+          changed: 2,
+          insertions: 2,
+          deletions: 1,
+        });
+        assert.deepStrictEqual(stats('v1.0.1', 'v1.0.1', repo), {
+          commits: 0,
+          changed: 0,
+          insertions: 0,
+          deletions: 0,
+        });
+
+        assert.strictEqual(countAuthors('v1.0.1..v1.0.1', repo), 0);
+        assert.strictEqual(countAuthors('v1.0.0..v1.0.1', repo), 2);
+        assert.strictEqual(countAuthors('v1.0.0', repo), 1);
+        assert.strictEqual(countAuthors('v1.0.1', repo), 2);
+
+        assert.deepStrictEqual(contributors('v1.0.1', 'v1.0.0', {}, repo), {
+          releaseContributors: 2,
+          totalContributors: 2,
+        });
+        assert.deepStrictEqual(
+          contributors('v1.0.1', 'v1.0.0', { totalContributors: 50 }, repo),
+          { releaseContributors: 2, totalContributors: 50 },
+        );
+      } finally {
+        removeDir(repo);
+      }
+    },
+  ],
+  [
+    'Contributors which are given are not counted',
+    () => {
+      // Not a git repository, so counting the authors would throw
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-no-git-'));
+      try {
+        assert.deepStrictEqual(
+          contributors(
+            'v1.0.1',
+            'v1.0.0',
+            { releaseContributors: 2, totalContributors: 50 },
+            dir,
+          ),
+          { releaseContributors: 2, totalContributors: 50 },
+        );
+      } finally {
+        removeDir(dir);
+      }
+    },
+  ],
+  [
+    'Features are counted',
+    () => {
+      const data = {
+        browsers: { chrome: { name: 'Chrome', releases: {} } },
+        api: {
+          Window: {
+            __compat: { support: {} },
+            open: { __compat: { support: {} } },
+          },
+        },
+        css: { properties: { color: { __compat: { support: {} } } } },
+      };
+      assert.strictEqual(countFeatures(data), 3);
+      assert.ok(countFeatures(bcd) > 1000);
+    },
+  ],
+  [
+    'Release notes are written',
+    () => {
+      const body = releaseBody(notes);
+      assert.ok(body.startsWith('**Notable changes**\n- No changes'));
+      assert.ok(
+        body.includes(
+          '- 2 contributors have changed 2 files with 10 additions and 1 deletions in 3 commits (https://github.com/mdn/browser-compat-data/compare/v1.0.0...v1.0.1)\n',
+        ),
+      );
+      assert.ok(
+        body.endsWith('- 50 total contributors\n- 3000 total stargazers'),
+      );
+      assert.ok(
+        releaseBody(Object.assign({}, notes, { stars: null })).endsWith(
+          '- 50 total contributors',
+        ),
+      );
+    },
+  ],
+  [
+    'Release URLs are encoded',
+    () => {
+      assert.strictEqual(
+        makeURL('v1.0.1', "**Notable changes**\n- It's (finally) here!"),
+        'https://github.com/mdn/browser-compat-data/releases/new?title=v1.0.1&tag=v1.0.1&body=%2a%2aNotable%20changes%2a%2a%0A-%20It%27s%20%28finally%29%20here%21',
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the release notes aren't functioning properly
+ */
+const testReleaseNotes = () => runTests('Release notes', tests);
+
+module.exports = testReleaseNotes;
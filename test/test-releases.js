@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const bcd = require('..');
+const { runTests } = require('./utils.js');
+
+const {
+  getReleaseOrder,
+  getReleases,
+  getCurrentRelease,
+  getReleaseAt,
+  getUpcomingReleases,
+  getEngine,
+  getReleaseForEngine,
+  mapRelease,
+} = require('../utils/releases.js');
+
+/**
+ * @param {string} release_date
+ * @param {string} status
+ * @param {string} [engine]
+ * @param {string} [engine_version]
+ * @returns {object}
+ */
+const release = (release_date, status, engine, engine_version) =>
+  engine
+    ? { release_date, status, engine, engine_version }
+    : { release_date, status };
+
+const data = {
+  browsers: {
+    first: {
+      name: 'First',
+      releases: {
+        '1': release('2010-01-01', 'retired', 'Engine', '1'),
+        '1.5': release('2010-06-01', 'retired', 'Engine', '1.5'),
+        '2': release('2011-01-01', 'retired', 'Engine', '2'),
+        '10': release('2013-01-01', 'nightly', 'Engine', '10'),
+        '3': release('2012-01-01', 'current', 'Engine', '3'),
+        '4': release(undefined, 'beta', 'Engine', '4'),
+      },
+    },
+    second: {
+      name: 'Second',
+      releases: {
+        '7': release('2009-01-01', 'retired', 'Other', '7'),
+        '8': release('2010-03-01', 'retired'),
+        '20': release('2011-02-01', 'retired', 'Engine', '2'),
+        '21': release('2012-02-01', 'current', 'Engine', '3'),
+      },
+    },
+  },
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'releases are ordered numerically',
+    () => {
+      assert.deepStrictEqual(getReleaseOrder(data, 'first'), [
+        '1',
+        '1.5',
+        '2',
+        '3',
+        '4',
+        '10',
+      ]);
+      assert.deepStrictEqual(getReleases(data, 'second')[2], {
+        version: '20',
+        release_date: '2011-02-01',
+        status: 'retired',
+        engine: 'Engine',
+        engine_version: '2',
+      });
+    },
+  ],
+  [
+    'the current and upcoming releases are found by their status',
+    () => {
+      assert.strictEqual(getCurrentRelease(data, 'first'), '3');
+      assert.deepStrictEqual(getUpcomingReleases(data, 'first'), ['4', '10']);
+      assert.deepStrictEqual(getUpcomingReleases(data, 'second'), []);
+    },
+  ],
+  [
+    'the newest of several current releases is the current one',
+    () => {
+      assert.strictEqual(getCurrentRelease(bcd, 'nodejs'), '14.6.0');
+    },
+  ],
+  [
+    'the release on a date is the newest one released by then',
+    () => {
+      assert.strictEqual(getReleaseAt(data, 'first', '2009-12-31'), null);
+      assert.strictEqual(getReleaseAt(data, 'first', '2010-01-01'), '1');
+      assert.strictEqual(getReleaseAt(data, 'first', '2011-12-31'), '2');
+      assert.strictEqual(
+        getReleaseAt(data, 'first', new Date('2020-01-01')),
+        '10',
+      );
+      assert.throws(
+        () => getReleaseAt(data, 'first', 'yesterday'),
+        /"yesterday" is not a date/,
+      );
+    },
+  ],
+  [
+    'engines are mapped to and from releases',
+    () => {
+      assert.deepStrictEqual(getEngine(data, 'second', '21'), {
+        engine: 'Engine',
+        engine_version: '3',
+      });
+      assert.strictEqual(getEngine(data, 'second', '8'), null);
+      assert.strictEqual(
+        getReleaseForEngine(data, 'second', 'Engine', '1.5'),
+        '20',
+      );
+      assert.strictEqual(
+        getReleaseForEngine(data, 'second', 'Engine', '4'),
+        null,
+      );
+      assert.strictEqual(
+        getReleaseForEngine(data, 'second', 'Unknown', '1'),
+        null,
+      );
+    },
+  ],
+  [
+    'releases are mapped between browsers through their engine',
+    () => {
+      assert.strictEqual(mapRelease(data, 'first', '3', 'second'), '21');
+      assert.strictEqual(mapRelease(data, 'second', '20', 'first'), '2');
+      assert.strictEqual(mapRelease(data, 'first', '10', 'second'), null);
+      assert.strictEqual(mapRelease(data, 'second', '7', 'first'), null);
+    },
+  ],
+  [
+    'unknown browsers and releases throw helpful errors',
+    () => {
+      assert.throws(
+        () => getReleaseAt(data, 'frist', '2010-01-01'),
+        /"frist" is not a known browser. Did you mean "first"\?/,
+      );
+      assert.throws(
+        () => mapRelease(data, 'first', '3', 'secnd'),
+        /Did you mean "second"\?/,
+      );
+      assert.throws(
+        () => getEngine(data, 'first', '5'),
+        /"5" is not a known release of first/,
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the release timeline isn't functioning properly
+ */
+const testReleases = () => runTests('Releases', tests);
+
+module.exports = testReleases;
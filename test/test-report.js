@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { parseTargets, compatReport } = require('../utils/report.js');
+
+/**
+ * @param {object} support
+ * @returns {object}
+ */
+const feature = support => ({ __compat: { support } });
+
+const data = {
+  browsers: {
+    first: {
+      name: 'First',
+      releases: {
+        '1': { status: 'retired' },
+        '2': { status: 'retired' },
+        '3': { status: 'current' },
+        '4': { status: 'beta' },
+      },
+    },
+    second: {
+      name: 'Second',
+      releases: {
+        '10': { status: 'retired' },
+        '11': { status: 'current' },
+      },
+    },
+  },
+  api: {
+    Supported: feature({
+      first: { version_added: '1' },
+      second: { version_added: '10' },
+    }),
+    Removed: feature({
+      first: { version_added: '1', version_removed: '3' },
+      second: { version_added: '10' },
+    }),
+    Prefixed: feature({
+      first: [{ version_added: '3' }, { version_added: '1', prefix: 'moz' }],
+      second: { version_added: null },
+    }),
+    Flagged: feature({
+      first: {
+        version_added: '1',
+        flags: [{ type: 'preference', name: 'flagged.enabled' }],
+      },
+      second: { version_added: '11' },
+    }),
+  },
+  css: {
+    properties: {
+      width: feature({
+        first: { version_added: '1' },
+        second: { version_added: '10' },
+      }),
+    },
+  },
+};
+
+/**
+ * @param {import('../utils/report.js').ReportEntry[]} report
+ * @returns {object}
+ */
+const summarize = report =>
+  report.map(({ path, issues }) => [
+    path,
+    issues.map(
+      ({ browser, version, issue }) => `${browser} ${version} ${issue}`,
+    ),
+  ]);
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'parseTargets() accepts >=, ≥ and bare versions',
+    () =>
+      assert.deepStrictEqual(
+        parseTargets('chrome >= 80, firefox≥78,safari 13'),
+        [
+          { browser: 'chrome', version: '80' },
+          { browser: 'firefox', version: '78' },
+          { browser: 'safari', version: '13' },
+        ],
+      ),
+  ],
+  [
+    'parseTargets() rejects invalid targets',
+    () =>
+      assert.throws(() => parseTargets('chrome < 80'), /not a valid target/),
+  ],
+  [
+    'compatReport() reports the most severe issue of each target',
+    () =>
+      assert.deepStrictEqual(
+        summarize(compatReport(data, 'first >= 2, second >= 10')),
+        [
+          ['api.Removed', ['first 3 unsupported']],
+          ['api.Prefixed', ['first 2 prefix', 'second 10 unknown']],
+          ['api.Flagged', ['first 2 flag', 'second 10 unsupported']],
+        ],
+      ),
+  ],
+  [
+    'compatReport() does not check releases after the current one',
+    () =>
+      assert.deepStrictEqual(
+        summarize(compatReport(data, 'first >= 3', 'api.Prefixed')),
+        [],
+      ),
+  ],
+  [
+    'compatReport() can be limited to a subtree',
+    () =>
+      assert.deepStrictEqual(
+        summarize(compatReport(data, 'second >= 10', 'api.Flagged')),
+        [['api.Flagged', ['second 10 unsupported']]],
+      ),
+  ],
+  [
+    'compatReport() throws on unknown releases',
+    () =>
+      assert.throws(
+        () => compatReport(data, 'first >= 5'),
+        /"5" is not a known release of first/,
+      ),
+  ],
+];
+
+/**
+ * @returns {boolean} If the compatibility report isn't functioning properly
+ */
+const testReport = () => runTests('Report', tests);
+
+module.exports = testReport;
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { search, suggest } = require('../utils/search.js');
+
+/**
+ * @param {object} support
+ * @param {object} [extra]
+ * @returns {object}
+ */
+const compat = (support, extra) => ({
+  __compat: Object.assign({ support }, extra),
+});
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+  },
+  api: {
+    Window: Object.assign(compat({ chrome: { version_added: '1' } }), {
+      requestAnimationFrame: compat(
+        {
+          chrome: [
+            { version_added: '24' },
+            { version_added: '10', prefix: 'webkit' },
+          ],
+        },
+        {
+          mdn_url:
+            'https://developer.mozilla.org/docs/Web/API/window/requestAnimationFrame',
+        },
+      ),
+    }),
+    HTMLAnchorElement: {
+      referrerPolicy: compat({ chrome: { version_added: '51' } }),
+    },
+  },
+  css: {
+    properties: {
+      appearance: compat(
+        {
+          chrome: {
+            version_added: '1',
+            prefix: '-webkit-',
+            notes: 'Only the <code>none</code> value is supported.',
+          },
+        },
+        { mdn_url: 'https://developer.mozilla.org/docs/Web/CSS/appearance' },
+      ),
+    },
+  },
+  http: {
+    headers: {
+      'Referrer-Policy': compat(
+        { chrome: { version_added: '56' } },
+        {
+          description: '<code>Referrer-Policy</code> header',
+          mdn_url:
+            'https://developer.mozilla.org/docs/Web/HTTP/Headers/Referrer-Policy',
+        },
+      ),
+    },
+  },
+};
+
+/**
+ * @param {string} query
+ * @param {object} [options]
+ * @returns {string[]} The paths of the results
+ */
+const paths = (query, options) =>
+  search(data, query, options).map(result => result.path);
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'features are found by their names, including prefixed names',
+    () => {
+      assert.deepStrictEqual(paths('webkitRequestAnimationFrame'), [
+        'api.Window.requestAnimationFrame',
+      ]);
+      assert.deepStrictEqual(paths('-webkit-appearance'), [
+        'css.properties.appearance',
+      ]);
+    },
+  ],
+  [
+    'names starting with the query are found',
+    () =>
+      assert.deepStrictEqual(paths('referrer'), [
+        'api.HTMLAnchorElement.referrerPolicy',
+        'http.headers.Referrer-Policy',
+      ]),
+  ],
+  [
+    'words may be parts of a single name',
+    () =>
+      assert.deepStrictEqual(paths('referrer policy').sort(), [
+        'api.HTMLAnchorElement.referrerPolicy',
+        'http.headers.Referrer-Policy',
+      ]),
+  ],
+  [
+    'descriptions, notes and MDN URLs are searched',
+    () => {
+      const [result] = search(data, 'none value');
+      assert.strictEqual(result.path, 'css.properties.appearance');
+      assert.deepStrictEqual(result.fields, ['notes']);
+      assert.deepStrictEqual(paths('header'), ['http.headers.Referrer-Policy']);
+      assert.deepStrictEqual(paths('web/css'), ['css.properties.appearance']);
+    },
+  ],
+  [
+    'identifiers are searched, below exact names',
+    () =>
+      assert.deepStrictEqual(paths('window'), [
+        'api.Window',
+        'api.Window.requestAnimationFrame',
+      ]),
+  ],
+  [
+    'results can be limited to categories and in number',
+    () => {
+      assert.deepStrictEqual(paths('referrer', { categories: ['api'] }), [
+        'api.HTMLAnchorElement.referrerPolicy',
+      ]);
+      assert.strictEqual(paths('referrer', { limit: 1 }).length, 1);
+    },
+  ],
+  [
+    'misspelled names are found if nothing matches',
+    () => {
+      const results = search(data, 'apperance');
+      assert.deepStrictEqual(
+        results.map(result => result.path),
+        ['css.properties.appearance'],
+      );
+      assert.strictEqual(results[0].fuzzy, true);
+      assert.deepStrictEqual(paths('apperance', { fuzzy: false }), []);
+    },
+  ],
+  [
+    'the closest name is suggested',
+    () => {
+      assert.deepStrictEqual(paths('widnwo'), []);
+      assert.strictEqual(suggest(data, 'widnwo'), 'Window');
+      assert.notStrictEqual(
+        suggest(data, 'widnwo', { categories: ['css'] }),
+        'Window',
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the search isn't functioning properly
+ */
+const testSearch = () => runTests('Search', tests);
+
+module.exports = testSearch;
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { createGitRepo, runTests } = require('./utils.js');
+
+const statistics = require('../scripts/statistics.js');
+const { removeDir } = require('../utils/snapshot.js');
+const {
+  getStats,
+  getMatrix,
+  getRelease,
+  formatStats,
+  formatMatrix,
+} = require('../scripts/statistics.js');
+
+/**
+ * @param {object} support
+ * @returns {object}
+ */
+const feature = support => ({ __compat: { support } });
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+    firefox: { name: 'Firefox', releases: {} },
+  },
+  api: {
+    Window: {
+      __compat: {
+        mdn_url: 'https://developer.mozilla.org/docs/Web/API/Window',
+        support: {
+          chrome: { version_added: '1' },
+          firefox: {
+            version_added: true,
+            flags: [{ type: 'preference', name: 'dom.window' }],
+          },
+        },
+        status: {
+          experimental: false,
+          standard_track: true,
+          deprecated: false,
+        },
+      },
+      open: {
+        __compat: {
+          description: '<code>open()</code>',
+          support: {
+            chrome: {
+              version_added: '≤18',
+              prefix: 'webkit',
+              partial_implementation: true,
+              notes: 'Only opens popups.',
+            },
+            firefox: { version_added: null },
+          },
+        },
+      },
+    },
+  },
+  css: {
+    properties: {
+      color: feature({ chrome: { version_added: false } }),
+    },
+  },
+};
+
+const release = { version: '1.0.0', date: '2020-01-02', released: true };
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'Values are counted',
+    () => {
+      assert.deepStrictEqual(getStats('api', true, data), {
+        total: {
+          all: 4,
+          real: 1,
+          range: 1,
+          true: 1,
+          null: 1,
+          flagged: 1,
+          prefixed: 1,
+          partial: 1,
+          noted: 1,
+          features: 2,
+          no_mdn_url: 1,
+          no_description: 1,
+          status: 1,
+        },
+        chrome: {
+          all: 2,
+          real: 1,
+          range: 1,
+          true: 0,
+          null: 0,
+          flagged: 0,
+          prefixed: 1,
+          partial: 1,
+          noted: 1,
+        },
+        firefox: {
+          all: 2,
+          real: 0,
+          range: 0,
+          true: 1,
+          null: 1,
+          flagged: 1,
+          prefixed: 0,
+          partial: 0,
+          noted: 0,
+        },
+      });
+      assert.strictEqual(getStats('', true, data).total.all, 6);
+    },
+  ],
+  [
+    'Folders are counted in a matrix',
+    () => {
+      const matrix = getMatrix(['api', 'css'], true, data);
+      assert.deepStrictEqual(Object.keys(matrix), ['api', 'css']);
+      assert.deepStrictEqual(matrix.api, getStats('api', true, data));
+      assert.deepStrictEqual(matrix.css.firefox, {
+        all: 1,
+        real: 0,
+        range: 0,
+        true: 0,
+        null: 1,
+        flagged: 0,
+        prefixed: 0,
+        partial: 0,
+        noted: 0,
+      });
+    },
+  ],
+  [
+    'The release is dated',
+    () => {
+      const current = require('../package.json').version;
+      const { version, date } = getRelease();
+      assert.strictEqual(version, current);
+      assert.ok(/^\d{4}-\d{2}-\d{2}$/.test(date));
+
+      const dir = createGitRepo([
+        {
+          files: { 'a.txt': '1' },
+          author: 'a@example.com',
+          tag: `v${current}`,
+        },
+        { files: { 'a.txt': '2' }, author: 'a@example.com' },
+      ]);
+      try {
+        assert.deepStrictEqual(getRelease(dir), {
+          version: current,
+          date: '2020-01-01',
+          released: true,
+        });
+      } finally {
+        removeDir(dir);
+      }
+    },
+  ],
+  [
+    'The module is still the getStats function',
+    () => {
+      assert.strictEqual(typeof statistics, 'function');
+      assert.deepStrictEqual(
+        statistics('api', true, data),
+        getStats('api', true, data),
+      );
+    },
+  ],
+  [
+    'Statistics are formatted',
+    () => {
+      const stats = getStats('api', true, data);
+      const markdown = formatStats(stats, 'api', 'markdown', release);
+      assert.ok(
+        markdown.includes(
+          'Status as of version 1.0.0 (released on 2020-01-02) for api/ directory',
+        ),
+      );
+      assert.ok(
+        markdown.includes('| chrome | 50.00% | 50.00% | 0.00% | 0.00% |'),
+      );
+      assert.ok(markdown.includes('| chrome | 0 | 1 | 1 | 1 |'));
+      assert.ok(
+        markdown.includes(
+          '2 features: 1 (50.00%) without an `mdn_url`, 1 (50.00%) without a `description`, 1 (50.00%) with a `status`.',
+        ),
+      );
+      assert.deepStrictEqual(
+        JSON.parse(formatStats(stats, 'api', 'json', release)),
+        Object.assign({ folder: 'api', stats }, release),
+      );
+      assert.strictEqual(
+        formatStats(stats, '', 'csv', release),
+        [
+          'folder,browser,all,real,range,true,null,flagged,prefixed,partial,noted,features,no_mdn_url,no_description,status',
+          ',total,4,1,1,1,1,1,1,1,1,2,1,1,1',
+          ',chrome,2,1,1,0,0,0,1,1,1,,,,',
+          ',firefox,2,0,0,1,1,1,0,0,0,,,,',
+        ].join('\n'),
+      );
+    },
+  ],
+  [
+    'Matrices are formatted',
+    () => {
+      const matrix = getMatrix(['api', 'css'], true, data);
+      const markdown = formatMatrix(matrix, 'markdown', release);
+      assert.ok(
+        markdown.endsWith(
+          [
+            '| folder | total | chrome | firefox |',
+            '| --- | --- | --- | --- |',
+            '| api | 25.00% | 50.00% | 0.00% |',
+            '| css | 50.00% | 100.00% | 0.00% |',
+            '',
+          ].join('\n'),
+        ),
+      );
+      assert.deepStrictEqual(
+        JSON.parse(formatMatrix(matrix, 'json', release)).folders,
+        matrix,
+      );
+      assert.strictEqual(
+        formatMatrix(matrix, 'csv', release).split('\n')[4],
+        'css,total,2,1,0,0,1,0,0,0,0,1,1,1,0',
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the statistics aren't functioning properly
+ */
+const testStatistics = () => runTests('Statistics', tests);
+
+module.exports = testStatistics;
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { createGitRepo, runTests } = require('./utils.js');
+
+const { getVersionTags, getHistory } = require('../scripts/stats-history.js');
+const { removeDir } = require('../utils/snapshot.js');
+
+/**
+ * @param {object} data
+ * @returns {string}
+ */
+const json = data => JSON.stringify(data, null, 2) + '\n';
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+const browser = name => json({ browsers: { [name]: { name, releases: {} } } });
+
+/**
+ * @param {Record<string, object>} support The support of each feature
+ * @returns {string}
+ */
+const features = support =>
+  json({
+    xslt: {
+      elements: Object.keys(support).reduce(
+        (elements, name) =>
+          Object.assign(elements, {
+            [name]: { __compat: { support: support[name] } },
+          }),
+        {},
+      ),
+    },
+  });
+
+/**
+ * Run a test against a git repository with two tagged versions of some
+ * data, removing the repository afterwards
+ *
+ * @param {(repo: string) => void} test
+ * @returns {void}
+ */
+const withRepo = test => {
+  const repo = createGitRepo([
+    {
+      files: {
+        'browsers/chrome.json': browser('chrome'),
+        'browsers/firefox.json': browser('firefox'),
+        'xslt/elements.json': features({
+          apply: { chrome: { version_added: true } },
+        }),
+      },
+      author: 'a@example.com',
+      tag: 'v1.0.0',
+    },
+    {
+      files: {
+        'xslt/elements.json': features({
+          apply: { chrome: { version_added: '1' } },
+          sort: { chrome: { version_added: null } },
+        }),
+      },
+      author: 'a@example.com',
+      tag: 'v1.1.0',
+    },
+  ]);
+
+  try {
+    test(repo);
+  } finally {
+    removeDir(repo);
+  }
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'Statistics are counted at each ref',
+    () =>
+      withRepo(repo => {
+        const rows = getHistory(['v1.0.0', 'HEAD'], {
+          folders: ['xslt', 'no-such-folder'],
+          allBrowsers: true,
+          cwd: repo,
+        });
+        assert.deepStrictEqual(
+          rows.map(row => [row.ref, row.folder, row.browser]),
+          [
+            ['v1.0.0', 'xslt', 'total'],
+            ['v1.0.0', 'xslt', 'chrome'],
+            ['v1.0.0', 'xslt', 'firefox'],
+            ['HEAD', 'xslt', 'total'],
+            ['HEAD', 'xslt', 'chrome'],
+            ['HEAD', 'xslt', 'firefox'],
+          ],
+        );
+
+        const [before, after] = [rows[1], rows[4]];
+        assert.deepStrictEqual(
+          [before.all, before.real, before.true, before.null],
+          [1, 0, 1, 0],
+        );
+        assert.deepStrictEqual(
+          [after.all, after.real, after.true, after.null],
+          [2, 1, 0, 1],
+        );
+        assert.ok(/^[0-9a-f]{40}$/.test(after.commit));
+        assert.strictEqual(after.date, '2020-01-02T00:00:00+00:00');
+      }),
+  ],
+  [
+    'Refs must exist',
+    () =>
+      withRepo(repo => {
+        assert.throws(
+          () => getHistory(['no-such-ref'], { cwd: repo }),
+          /"no-such-ref" is not a git ref/,
+        );
+      }),
+  ],
+  [
+    'Version tags are listed',
+    () =>
+      withRepo(repo => {
+        assert.deepStrictEqual(getVersionTags(repo), ['v1.0.0', 'v1.1.0']);
+      }),
+  ],
+];
+
+/**
+ * @returns {boolean} If the historical statistics aren't functioning properly
+ */
+const testStatsHistory = () => runTests('Statistics history', tests);
+
+module.exports = testStatsHistory;
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { resolveSupport } = require('../utils/support.js');
+
+/**
+ * @param {object} support
+ * @returns {object}
+ */
+const feature = support => ({ __compat: { support } });
+
+const data = {
+  browsers: {
+    testbrowser: {
+      name: 'Test Browser',
+      releases: {
+        '1': { status: 'retired' },
+        '1.5': { status: 'retired' },
+        '2': { status: 'retired' },
+        '10': { status: 'beta' },
+        '3': { status: 'retired' },
+        '4': { status: 'current' },
+      },
+    },
+  },
+  api: {
+    added: feature({ testbrowser: { version_added: '2' } }),
+    removed: feature({
+      testbrowser: { version_added: '1.5', version_removed: '3' },
+    }),
+    ranged: feature({ testbrowser: { version_added: '≤2' } }),
+    ranged_removed: feature({
+      testbrowser: { version_added: '1', version_removed: '≤3' },
+    }),
+    true: feature({ testbrowser: { version_added: true } }),
+    true_removed: feature({
+      testbrowser: { version_added: true, version_removed: '3' },
+    }),
+    null: feature({ testbrowser: { version_added: null } }),
+    false: feature({ testbrowser: { version_added: false } }),
+    missing: feature({}),
+    prefixed: feature({
+      testbrowser: [
+        { version_added: '3' },
+        { version_added: '1', prefix: 'webkit' },
+      ],
+    }),
+    alternative: feature({
+      testbrowser: { version_added: '2', alternative_name: 'otherName' },
+    }),
+    flagged: feature({
+      testbrowser: [
+        { version_added: '4' },
+        {
+          version_added: '2',
+          flags: [{ type: 'preference', name: 'test.enabled' }],
+        },
+      ],
+    }),
+    partial: feature({
+      testbrowser: [
+        { version_added: '2', partial_implementation: true },
+        { version_added: '3' },
+      ],
+    }),
+  },
+};
+
+/**
+ * @param {string} path
+ * @param {string} version
+ * @param {string} expected
+ */
+const assertSupport = (path, version, expected) =>
+  assert.strictEqual(
+    resolveSupport(data, path, 'testbrowser', version).support,
+    expected,
+    `${path} in ${version}`,
+  );
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'version_added is compared in release order',
+    () => {
+      assertSupport('api.added', '1.5', 'unsupported');
+      assertSupport('api.added', '2', 'supported');
+      assertSupport('api.added', '10', 'supported');
+    },
+  ],
+  [
+    'version_removed is compared in release order',
+    () => {
+      assertSupport('api.removed', '1', 'unsupported');
+      assertSupport('api.removed', '2', 'supported');
+      assertSupport('api.removed', '3', 'unsupported');
+    },
+  ],
+  [
+    'ranged versions are unknown before the range',
+    () => {
+      assertSupport('api.ranged', '1', 'unknown');
+      assertSupport('api.ranged', '2', 'supported');
+      assertSupport('api.ranged_removed', '2', 'unknown');
+      assertSupport('api.ranged_removed', '3', 'unsupported');
+    },
+  ],
+  [
+    'true is supported from the current release on',
+    () => {
+      assertSupport('api.true', '3', 'unknown');
+      assertSupport('api.true', '4', 'supported');
+      assertSupport('api.true', '10', 'supported');
+      assertSupport('api.true_removed', '2', 'unknown');
+      assertSupport('api.true_removed', '3', 'unsupported');
+    },
+  ],
+  [
+    'null, false and missing data are unknown or unsupported',
+    () => {
+      assertSupport('api.null', '4', 'unknown');
+      assertSupport('api.false', '4', 'unsupported');
+      assertSupport('api.missing', '4', 'unknown');
+      assert.strictEqual(
+        resolveSupport(data, 'api.missing', 'testbrowser', '4').statement,
+        null,
+      );
+    },
+  ],
+  [
+    'unprefixed support is preferred over prefixed support',
+    () => {
+      const verdict = resolveSupport(data, 'api.prefixed', 'testbrowser', '4');
+      assert.strictEqual(verdict.prefix, null);
+      assert.strictEqual(
+        verdict.statement,
+        data.api.prefixed.__compat.support.testbrowser[0],
+      );
+    },
+  ],
+  [
+    'prefixes and alternative names are reported',
+    () => {
+      assert.strictEqual(
+        resolveSupport(data, 'api.prefixed', 'testbrowser', '2').prefix,
+        'webkit',
+      );
+      assert.strictEqual(
+        resolveSupport(data, 'api.alternative', 'testbrowser', '2')
+          .alternative_name,
+        'otherName',
+      );
+    },
+  ],
+  [
+    'flags are reported when no release supports the feature by default',
+    () => {
+      const verdict = resolveSupport(data, 'api.flagged', 'testbrowser', '3');
+      assert.strictEqual(verdict.support, 'supported');
+      assert.deepStrictEqual(verdict.flags, [
+        { type: 'preference', name: 'test.enabled' },
+      ]);
+      assert.strictEqual(
+        resolveSupport(data, 'api.flagged', 'testbrowser', '4').flags,
+        null,
+      );
+    },
+  ],
+  [
+    'full implementations are preferred over partial ones',
+    () => {
+      assert.strictEqual(
+        resolveSupport(data, 'api.partial', 'testbrowser', '2')
+          .partial_implementation,
+        true,
+      );
+      assert.strictEqual(
+        resolveSupport(data, 'api.partial', 'testbrowser', '3')
+          .partial_implementation,
+        false,
+      );
+    },
+  ],
+  [
+    'unknown browsers and releases throw helpful errors',
+    () => {
+      assert.throws(
+        () => resolveSupport(data, 'api.added', 'testbrowsr', '2'),
+        /Did you mean "testbrowser"\?/,
+      );
+      assert.throws(
+        () => resolveSupport(data, 'api.added', 'testbrowser', '2.5'),
+        /"2\.5" is not a known release of testbrowser/,
+      );
+      assert.throws(
+        () => resolveSupport(data, 'api', 'testbrowser', '2'),
+        /is not a feature/,
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the support resolver isn't functioning properly
+ */
+const testSupport = () => runTests('Support', tests);
+
+module.exports = testSupport;
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { parseFilter } = require('../utils/filter.js');
+const { traverseFeatures } = require('../scripts/traverse.js');
+
+const data = {
+  browsers: {
+    chrome: { name: 'Chrome', releases: {} },
+    firefox: { name: 'Firefox', releases: {} },
+  },
+  api: {
+    Window: {
+      __compat: {
+        support: {
+          chrome: [
+            { version_added: '70' },
+            {
+              version_added: '85',
+              flags: [{ type: 'preference', name: 'Window' }],
+            },
+            { version_added: '60', prefix: 'webkit' },
+          ],
+          firefox: { version_added: true },
+        },
+      },
+      open: {
+        __compat: {
+          support: {
+            chrome: { version_added: null },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @param {string} expression
+ * @param {string} [browser]
+ * @returns {(compat: object) => boolean}
+ */
+const filter = (expression, browser = 'chrome') =>
+  parseFilter(expression, { data, browser });
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'Statements with the values are listed',
+    () => {
+      const rows = traverseFeatures(data, {
+        browser: 'chrome',
+        folders: ['api'],
+        values: ['null', 'true'],
+      });
+      assert.deepStrictEqual(
+        rows.map(row => row.path),
+        ['api.Window.open'],
+      );
+
+      const firefox = traverseFeatures(data, {
+        browser: 'firefox',
+        folders: ['api'],
+        values: ['null', 'true'],
+      });
+      assert.deepStrictEqual(
+        firefox.map(row => [row.path, row.statement]),
+        [
+          ['api.Window', { version_added: true }],
+          ['api.Window.open', null],
+        ],
+      );
+    },
+  ],
+  [
+    'Only the statements matching the filter are listed',
+    () => {
+      const rows = traverseFeatures(data, {
+        browser: 'chrome',
+        folders: ['api'],
+        filter: filter('added > 80'),
+      });
+      assert.deepStrictEqual(
+        rows.map(row => [row.path, row.statement.version_added]),
+        [['api.Window', '85']],
+      );
+
+      const unflagged = traverseFeatures(data, {
+        browser: 'chrome',
+        folders: ['api'],
+        filter: filter('not flags and firefox:added'),
+      });
+      assert.deepStrictEqual(
+        unflagged.map(row => row.statement.version_added),
+        ['70', '60'],
+      );
+    },
+  ],
+  [
+    'Features are traversed up to a depth',
+    () => {
+      const rows = traverseFeatures(data, {
+        browser: 'chrome',
+        folders: ['api'],
+        depth: 1,
+      });
+      assert.deepStrictEqual(
+        rows.map(row => row.path),
+        ['api.Window', 'api.Window', 'api.Window'],
+      );
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If traversing isn't functioning properly
+ */
+const testTraverse = () => runTests('Traverse', tests);
+
+module.exports = testTraverse;
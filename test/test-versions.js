@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const {
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  minVersion,
+  maxVersion,
+  isDefinitelyBefore,
+  isWithinRange,
+} = require('../utils/versions.js');
+
+const data = {
+  browsers: {
+    testbrowser: {
+      name: 'Test Browser',
+      releases: {
+        '1': { status: 'retired' },
+        '1.5': { status: 'retired' },
+        '2': { status: 'retired' },
+        '10': { status: 'beta' },
+        '3': { status: 'retired' },
+        '4': { status: 'current' },
+      },
+    },
+    edge: {
+      name: 'Edge',
+      releases: {
+        '18': { status: 'retired' },
+        '79': { status: 'current' },
+      },
+    },
+  },
+};
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'version values are parsed by type',
+    () => {
+      /** @type {[any, string, string|null][]} */
+      const table = [
+        ['12.1', 'release', '12.1'],
+        ['4.4.3', 'release', '4.4.3'],
+        ['≤37', 'ranged', '37'],
+        ['≤12.1', 'ranged', '12.1'],
+        [true, 'true', null],
+        [false, 'false', null],
+        [null, 'null', null],
+      ];
+      for (const [value, type, release] of table) {
+        assert.deepStrictEqual(
+          parseVersion(value),
+          { type, release, value },
+          String(value),
+        );
+      }
+    },
+  ],
+  [
+    'invalid version values throw',
+    () => {
+      for (const value of ['', '≤', '12.', 'v12', '≥37', 'preview', 12]) {
+        assert.throws(
+          () => parseVersion(value),
+          /is not a version value/,
+          String(value),
+        );
+      }
+    },
+  ],
+  [
+    'values are valid if they are releases or allowed ranges',
+    () => {
+      /** @type {[string, any, boolean][]} */
+      const table = [
+        ['testbrowser', '1.5', true],
+        ['testbrowser', '10', true],
+        ['testbrowser', true, true],
+        ['testbrowser', false, true],
+        ['testbrowser', null, true],
+        ['testbrowser', '5', false],
+        ['testbrowser', '≤2', false],
+        ['testbrowser', undefined, false],
+        ['edge', '≤18', true],
+        ['edge', '≤79', true],
+        ['edge', '≤17', false],
+      ];
+      for (const [browser, value, expected] of table) {
+        assert.strictEqual(
+          isValidVersion(data, browser, value),
+          expected,
+          `${browser} ${value}`,
+        );
+      }
+    },
+  ],
+  [
+    'values are compared in release order',
+    () => {
+      /** @type {[string, string, number][]} */
+      const table = [
+        ['1', '1.5', -1],
+        ['1.5', '2', -1],
+        ['3', '10', -1],
+        ['4', '10', -1],
+        ['10', '2', 1],
+        ['2', '2', 0],
+        ['≤2', '2', 0],
+        ['≤2', '3', -1],
+        ['4', '≤3', 1],
+      ];
+      for (const [a, b, expected] of table) {
+        assert.strictEqual(
+          Math.sign(compareVersions(data, 'testbrowser', a, b)),
+          expected,
+          `${a} and ${b}`,
+        );
+      }
+      assert.throws(
+        () => compareVersions(data, 'testbrowser', true, '2'),
+        /true is not a release number/,
+      );
+      assert.throws(
+        () => compareVersions(data, 'testbrowser', '2.5', '2'),
+        /"2\.5" is not a known release of testbrowser/,
+      );
+    },
+  ],
+  [
+    'the earliest and latest values are found',
+    () => {
+      const values = ['3', null, '10', '≤2', true, '1.5', false];
+      assert.strictEqual(minVersion(data, 'testbrowser', values), '1.5');
+      assert.strictEqual(maxVersion(data, 'testbrowser', values), '10');
+      assert.strictEqual(
+        minVersion(data, 'testbrowser', [true, null]),
+        undefined,
+      );
+      assert.strictEqual(maxVersion(data, 'testbrowser', []), undefined);
+    },
+  ],
+  [
+    'values are definitely before others when their releases cannot overlap',
+    () => {
+      /** @type {[any, any, boolean][]} */
+      const table = [
+        ['1', '2', true],
+        ['2', '2', false],
+        ['3', '2', false],
+        ['≤2', '3', true],
+        ['≤2', '2', false],
+        ['1', '≤2', false],
+        ['≤1.5', '≤2', false],
+        [true, '10', true],
+        [true, '4', false],
+        ['10', false, true],
+        [false, '10', false],
+        [null, '10', false],
+        ['1', null, false],
+      ];
+      for (const [a, b, expected] of table) {
+        assert.strictEqual(
+          isDefinitelyBefore(data, 'testbrowser', a, b),
+          expected,
+          `${a} before ${b}`,
+        );
+      }
+    },
+  ],
+  [
+    'releases are within the range of a statement, outside it or unknown',
+    () => {
+      /** @type {[string, any, any, boolean|null][]} */
+      const table = [
+        ['1.5', '2', undefined, false],
+        ['2', '2', undefined, true],
+        ['10', '2', undefined, true],
+        ['2', '1', '3', true],
+        ['3', '1', '3', false],
+        ['1', '≤2', undefined, null],
+        ['2', '≤2', undefined, true],
+        ['2', '1', '≤3', null],
+        ['3', '1', '≤3', false],
+        ['3', true, undefined, null],
+        ['4', true, undefined, true],
+        ['2', true, '3', null],
+        ['3', true, '3', false],
+        ['2', '1', true, null],
+        ['4', '1', true, false],
+        ['4', '1', null, null],
+        ['1', '2', null, false],
+        ['4', '1', false, true],
+        ['4', null, undefined, null],
+        ['4', false, undefined, false],
+      ];
+      for (const [version, added, removed, expected] of table) {
+        assert.strictEqual(
+          isWithinRange(data, 'testbrowser', version, added, removed),
+          expected,
+          `${version} within ${added}–${removed}`,
+        );
+      }
+    },
+  ],
+];
+
+/**
+ * @returns {boolean} If the version functions aren't functioning properly
+ */
+const testVersions = () => runTests('Versions', tests);
+
+module.exports = testVersions;
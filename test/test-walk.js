@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const assert = require('assert');
+const { runTests } = require('./utils.js');
+
+const { walk } = require('../utils/walk.js');
+
+/**
+ * @param {string} version
+ * @returns {object}
+ */
+const compat = version => ({
+  __compat: { support: { chrome: { version_added: version } } },
+});
+
+const data = {
+  browsers: {
+    chrome: Object.assign({ name: 'Chrome', releases: {} }, compat('1')),
+  },
+  api: {
+    Request: Object.assign(compat('40'), {
+      referrerPolicy: compat('52'),
+      Request: Object.assign(compat('40'), {
+        init_referrerPolicy: compat('52'),
+      }),
+    }),
+  },
+  css: {
+    properties: {
+      color: compat('1'),
+    },
+  },
+};
+
+/**
+ * @param {Iterable<{path: string}>} entries
+ * @returns {string[]}
+ */
+const paths = entries => Array.from(entries, entry => entry.path);
+
+/** @type {[string, () => void][]} */
+const tests = [
+  [
+    'features are walked parents first, skipping browsers',
+    () =>
+      assert.deepStrictEqual(paths(walk(data)), [
+        'api.Request',
+        'api.Request.referrerPolicy',
+        'api.Request.Request',
+        'api.Request.Request.init_referrerPolicy',
+        'css.properties.color',
+      ]),
+  ],
+  [
+    'entries have their compat statement and parent',
+    () => {
+      const entries = Array.from(walk(data));
+      assert.strictEqual(entries[0].compat, data.api.Request.__compat);
+      assert.strictEqual(entries[0].parentPath, 'api');
+      assert.strictEqual(entries[3].parentPath, 'api.Request.Request');
+    },
+  ],
+  [
+    'subtrees are walked with their own path',
+    () => {
+      const entries = Array.from(
+        walk(data.api.Request, { path: 'api.Request' }),
+      );
+      assert.deepStrictEqual(paths(entries), [
+        'api.Request',
+        'api.Request.referrerPolicy',
+        'api.Request.Request',
+        'api.Request.Request.init_referrerPolicy',
+      ]);
+      assert.strictEqual(entries[0].parentPath, 'api');
+      assert.deepStrictEqual(
+        paths(walk(data.browsers, { path: 'browsers' })),
+        [],
+      );
+    },
+  ],
+  [
+    'depth limits how far below the root to descend',
+    () => {
+      assert.deepStrictEqual(paths(walk(data.api, { path: 'api', depth: 1 })), [
+        'api.Request',
+      ]);
+      assert.deepStrictEqual(paths(walk(data, { depth: 3 })), [
+        'api.Request',
+        'api.Request.referrerPolicy',
+        'api.Request.Request',
+        'css.properties.color',
+      ]);
+    },
+  ],
+  [
+    'categories limit the categories walked',
+    () => {
+      assert.deepStrictEqual(paths(walk(data, { categories: ['css'] })), [
+        'css.properties.color',
+      ]);
+      assert.deepStrictEqual(
+        paths(walk(data.api, { path: 'api', categories: ['css'] })),
+        [],
+      );
+    },
+  ],
+  [
+    'filtered out features still have their subfeatures walked',
+    () =>
+      assert.deepStrictEqual(
+        paths(
+          walk(data, {
+            filter: entry => entry.compat.support.chrome.version_added === '52',
+          }),
+        ),
+        [
+          'api.Request.referrerPolicy',
+          'api.Request.Request.init_referrerPolicy',
+        ],
+      ),
+  ],
+];
+
+/**
+ * @returns {boolean} If the walker isn't functioning properly
+ */
+const testWalk = () => runTests('Walk', tests);
+
+module.exports = testWalk;
@@ -1,5 +1,8 @@
 'use strict';
-const { platform } = require('os');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const chalk = require('chalk');
 
 /** @type {{readonly [char: string]: string}} */
@@ -20,7 +23,7 @@ const INVISIBLES_REGEXP = /[\0\x08-\x0D]/g;
 const IS_CI = process.env.CI && String(process.env.CI).toLowerCase() === 'true';
 
 /** Determines if the OS is Windows */
-const IS_WINDOWS = platform() === 'win32';
+const IS_WINDOWS = os.platform() === 'win32';
 
 /**
  * Escapes common invisible characters.
@@ -108,7 +111,107 @@ function jsonDiff(actual, expected) {
   }
 }
 
+/**
+ * Runs named test cases, reporting the ones which throw.
+ *
+ * @param {string} title
+ * @param {[string, () => void][]} tests
+ * @return {boolean} If any of the test cases failed
+ */
+function runTests(title, tests) {
+  /** @type {string[]} */
+  const errors = [];
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+    } catch (e) {
+      errors.push(`${name}: ${e.message}`);
+    }
+  }
+
+  if (errors.length) {
+    console.error(
+      chalk`{red ${title} – {bold ${errors.length}} ${
+        errors.length === 1 ? 'error' : 'errors'
+      }:}`,
+    );
+    for (const error of errors) {
+      console.error(chalk`{red   → ${error}}`);
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * @typedef {object} FixtureCommit
+ * @property {Record<string, string>} files The contents of the files to write, by their path
+ * @property {string} author The email address of the author
+ * @property {string} [tag] A tag to create on the commit
+ */
+
+/**
+ * Creates a git repository in a temporary directory, with a commit for each
+ * set of files, so that tests don't depend on the history of this
+ * repository. The caller removes the directory.
+ *
+ * @param {FixtureCommit[]} commits
+ * @return {string} The directory of the repository
+ */
+function createGitRepo(commits) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-git-'));
+  /**
+   * @param {string[]} args
+   * @param {Record<string, string>} [env]
+   */
+  const git = (args, env) =>
+    execFileSync('git', args, {
+      cwd: dir,
+      env: Object.assign({}, process.env, env),
+      stdio: 'ignore',
+    });
+
+  git(['init', '--quiet']);
+  commits.forEach(({ files, author, tag }, i) => {
+    for (const name of Object.keys(files)) {
+      const file = path.join(dir, name);
+      if (!fs.existsSync(path.dirname(file))) {
+        fs.mkdirSync(path.dirname(file));
+      }
+      fs.writeFileSync(file, files[name]);
+    }
+
+    const date = new Date(Date.UTC(2020, 0, i + 1)).toISOString();
+    git(['add', '--all']);
+    git(
+      [
+        '-c',
+        'commit.gpgsign=false',
+        'commit',
+        '--quiet',
+        '--message',
+        `Commit ${i + 1}`,
+      ],
+      {
+        GIT_AUTHOR_NAME: author,
+        GIT_AUTHOR_EMAIL: author,
+        GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: 'Test',
+        GIT_COMMITTER_EMAIL: 'test@example.com',
+        GIT_COMMITTER_DATE: date,
+      },
+    );
+    if (tag) {
+      git(['-c', 'tag.gpgsign=false', 'tag', tag]);
+    }
+  });
+
+  return dir;
+}
+
 module.exports = {
+  createGitRepo,
   INVISIBLES_MAP,
   IS_CI,
   IS_WINDOWS,
@@ -116,4 +219,5 @@ module.exports = {
   indexToPosRaw,
   indexToPos,
   jsonDiff,
+  runTests,
 };
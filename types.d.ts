@@ -60,6 +60,13 @@ export interface BrowserStatement {
    * (e.g. `"about:config"` for Firefox or `"chrome://flags"` for Chrome).
    */
   pref_url?: string;
+
+  /**
+   * An optional browser this browser is derived from (e.g. `"chrome"` for Opera),
+   * whose support is mirrored onto it by default. Releases are mapped between the
+   * two browsers through their `engine` and `engine_version`.
+   */
+  upstream?: BrowserNames;
 }
 
 /**
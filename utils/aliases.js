@@ -0,0 +1,197 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { isBundleFresh } = require('./load.js');
+const { CATEGORIES } = require('./registry.js');
+const { walk } = require('./walk.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').SimpleSupportStatement} SimpleSupportStatement
+ * @typedef {import('../types').VersionValue} VersionValue
+ *
+ * @typedef {object} AliasEntry
+ * @property {string} path The dotted identifier of the canonical feature
+ * @property {string} browser The browser which supported the alias
+ * @property {VersionValue} version_added The `version_added` of the support statement
+ * @property {VersionValue} [version_removed] The `version_removed` of the support statement, if any
+ * @property {SimpleSupportStatement['flags']} [flags] The flags needed to enable the alias, if any
+ *
+ * @typedef {Record<string, AliasEntry[]>} AliasIndex
+ *
+ * @typedef {object} AliasRange
+ * @property {VersionValue} version_added The first release supporting the alias
+ * @property {VersionValue} [version_removed] The first release no longer supporting the alias, if any
+ * @property {SimpleSupportStatement['flags']} [flags] The flags needed to enable the alias, if any
+ *
+ * @typedef {object} AliasMatch
+ * @property {string} alias The alias as it is spelled in the data
+ * @property {string} path The dotted identifier of the canonical feature
+ * @property {Record<string, AliasRange[]>} browsers The releases of each browser in which the alias was supported
+ *
+ * @typedef {object} AliasOptions
+ * @property {string|null} [buildDir] The directory containing a prebuilt `aliases.json`, or null to always build the index from the data
+ */
+
+/** @type {WeakMap<CompatData, AliasIndex>} */
+const indexes = new WeakMap();
+
+/**
+ * Get the name a feature is used with in code: its identifier, or the name
+ * of the event for `*_event` identifiers
+ *
+ * @param {string} featurePath The dotted identifier of the feature
+ * @returns {string}
+ */
+const getCodeName = featurePath => {
+  const name = featurePath.slice(featurePath.lastIndexOf('.') + 1);
+  return name.endsWith('_event') ? name.slice(0, -'_event'.length) : name;
+};
+
+/**
+ * Get the spelling of a feature in a support statement with a prefix or an
+ * alternative name, such as "-webkit-box-shadow", "webkitIndexedDB" or
+ * "webkitvisibilitychange".
+ *
+ * A prefix is put before the name as it is, except that a lower case API
+ * name follows the camel case of the prefix ("webkit" and "indexedDB" make
+ * "webkitIndexedDB"). Event names are always in lower case.
+ *
+ * @param {string} featurePath The dotted identifier of the feature
+ * @param {SimpleSupportStatement} statement The support statement
+ * @returns {string|null} The alias, or null if the statement uses the canonical name
+ */
+const getAlias = (featurePath, statement) => {
+  const { prefix, alternative_name } = statement;
+  if (!prefix && !alternative_name) {
+    return null;
+  }
+
+  const name = alternative_name || getCodeName(featurePath);
+  if (!prefix) {
+    return name;
+  }
+
+  const isCamelCase =
+    featurePath.startsWith('api.') &&
+    !featurePath.endsWith('_event') &&
+    /[a-z]$/.test(prefix) &&
+    /^[a-z]/.test(name);
+  return isCamelCase
+    ? prefix + name[0].toUpperCase() + name.slice(1)
+    : prefix + name;
+};
+
+/**
+ * Build the reverse index from every alias of a feature (prefixed or
+ * alternative names) to the features and support statements using it
+ *
+ * @param {CompatData} data The compat data
+ * @returns {AliasIndex} The index, with the aliases in alphabetical order
+ */
+const buildAliasIndex = data => {
+  /** @type {AliasIndex} */
+  const index = {};
+
+  for (const { path: featurePath, compat } of walk(data)) {
+    for (const browser of Object.keys(compat.support)) {
+      for (const statement of [].concat(compat.support[browser])) {
+        const alias = getAlias(featurePath, statement);
+        if (!alias || statement.version_added === false) {
+          continue;
+        }
+
+        /** @type {AliasEntry} */
+        const entry = {
+          path: featurePath,
+          browser,
+          version_added: statement.version_added,
+        };
+        if (statement.version_removed !== undefined) {
+          entry.version_removed = statement.version_removed;
+        }
+        if (statement.flags) {
+          entry.flags = statement.flags;
+        }
+        if (!Object.prototype.hasOwnProperty.call(index, alias)) {
+          index[alias] = [];
+        }
+        index[alias].push(entry);
+      }
+    }
+  }
+
+  return Object.keys(index)
+    .sort()
+    .reduce((sorted, alias) => {
+      sorted[alias] = index[alias];
+      return sorted;
+    }, {});
+};
+
+/**
+ * Get the alias index of the compat data, from the prebuilt `aliases.json`
+ * if there is one which is up to date, or else by building it on first use
+ *
+ * @param {CompatData} data The compat data
+ * @param {AliasOptions} [options]
+ * @returns {AliasIndex}
+ */
+const getAliasIndex = (data, { buildDir = null } = {}) => {
+  if (!indexes.has(data)) {
+    const file = buildDir && path.join(buildDir, 'aliases.json');
+    indexes.set(
+      data,
+      file && fs.existsSync(file) && isBundleFresh(file, CATEGORIES)
+        ? JSON.parse(fs.readFileSync(file, 'utf-8'))
+        : buildAliasIndex(data),
+    );
+  }
+  return indexes.get(data);
+};
+
+/**
+ * Find the canonical features of an alias (e.g. "webkitIndexedDB" or
+ * "-webkit-box-shadow"), with the releases of each browser in which it was
+ * supported. The alias is matched exactly first, then ignoring case.
+ *
+ * @param {CompatData} data The compat data
+ * @param {string} name The alias to look up
+ * @param {AliasOptions} [options]
+ * @returns {AliasMatch[]} The features using the alias, or an empty array if there are none
+ */
+const lookupAlias = (data, name, options) => {
+  const index = getAliasIndex(data, options);
+  const aliases = Object.prototype.hasOwnProperty.call(index, name)
+    ? [name]
+    : Object.keys(index).filter(
+        alias => alias.toLowerCase() === name.toLowerCase(),
+      );
+
+  /** @type {AliasMatch[]} */
+  const matches = [];
+  for (const alias of aliases) {
+    for (const entry of index[alias]) {
+      let match = matches.find(m => m.alias === alias && m.path === entry.path);
+      if (!match) {
+        match = { alias, path: entry.path, browsers: {} };
+        matches.push(match);
+      }
+
+      const range = Object.assign({}, entry);
+      delete range.path;
+      delete range.browser;
+      if (!match.browsers[entry.browser]) {
+        match.browsers[entry.browser] = [];
+      }
+      match.browsers[entry.browser].push(range);
+    }
+  }
+  return matches;
+};
+
+module.exports = { getAlias, buildAliasIndex, getAliasIndex, lookupAlias };
@@ -0,0 +1,72 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ *
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @returns {number} The number of single-character edits to turn `a` into `b`
+ */
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current.push(
+        Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Measure how far a candidate is from a word, where a case-insensitive
+ * match is closer than any edit
+ *
+ * @param {string} word The (possibly misspelled) word
+ * @param {string} candidate The word to compare it to
+ * @returns {number}
+ */
+const distance = (word, candidate) =>
+  candidate.toLowerCase() === word.toLowerCase()
+    ? 0
+    : levenshtein(word, candidate) + 1;
+
+/**
+ * Find the candidate closest to a word, preferring case-insensitive matches
+ *
+ * @param {string} word The (possibly misspelled) word
+ * @param {string[]} candidates The words to choose from
+ * @returns {string|undefined} The closest candidate, or undefined if there are none
+ */
+const closest = (word, candidates) => {
+  let best;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const candidateDistance = distance(word, candidate);
+    if (candidateDistance < bestDistance) {
+      best = candidate;
+      bestDistance = candidateDistance;
+    }
+  }
+
+  return best;
+};
+
+module.exports = { levenshtein, distance, closest };
@@ -0,0 +1,402 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { compareReleaseNumbers } = require('./releases.js');
+const { walk } = require('./walk.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').SimpleSupportStatement} SimpleSupportStatement
+ *
+ * @typedef {'version_added' | 'version_removed' | 'flag_added' | 'flag_removed' | 'status' | 'mdn_url'} ChangeType
+ *
+ * @typedef {object} Change
+ * @property {string} path The dotted identifier of the feature
+ * @property {ChangeType} type What changed
+ * @property {string} [browser] The browser whose support changed, for the support changes
+ * @property {string} [field] The status field which changed, for status changes
+ * @property {string} [flag] The name of the flag, for flag changes
+ * @property {any} [from] The previous value; omitted if there was none
+ * @property {any} [to] The new value; omitted if there is none
+ *
+ * @typedef {object} Diff
+ * @property {string[]} added The features which were added
+ * @property {string[]} removed The features which were removed
+ * @property {Change[]} changes The changes of the features in both snapshots, grouped by feature
+ *
+ * @typedef {object} DiffOptions
+ * @property {string[]} [categories] Only compare these categories
+ *
+ * @typedef {object} NewRelease
+ * @property {string} browser The identifier of the browser
+ * @property {string} version The version number of the release
+ *
+ * @typedef {object} SummaryOptions
+ * @property {NewRelease[]} [releases] The browser releases which were added
+ * @property {CompatData['browsers']} [browsers] The browsers, to name them
+ * @property {number} [limit] The maximum number of features listed in each item
+ */
+
+/** The fields of the status block, and how to describe them */
+const STATUS_FIELDS = {
+  experimental: 'experimental',
+  standard_track: 'on the standards track',
+  deprecated: 'deprecated',
+};
+
+/**
+ * Collect the compat statements of every feature of some data
+ *
+ * @param {CompatData} data The compat data
+ * @param {DiffOptions} options
+ * @returns {Map<string, CompatStatement>}
+ */
+const getFeatures = (data, { categories }) => {
+  const features = new Map();
+  for (const { path, compat } of walk(data, { categories })) {
+    features.set(path, compat);
+  }
+  return features;
+};
+
+/**
+ * Get the names of the flags of the support statements of a browser
+ *
+ * @param {SimpleSupportStatement[]} statements
+ * @returns {string[]}
+ */
+const getFlags = statements =>
+  statements.reduce(
+    (flags, statement) =>
+      flags.concat(
+        (statement.flags || [])
+          .map(flag => flag.name)
+          .filter(name => !flags.includes(name)),
+      ),
+    [],
+  );
+
+/**
+ * Create a change, leaving out the values which are undefined
+ *
+ * @param {Change} change
+ * @returns {Change}
+ */
+const change = change =>
+  Object.keys(change).reduce((result, key) => {
+    if (change[key] !== undefined) result[key] = change[key];
+    return result;
+  }, {});
+
+/**
+ * Compare the compat statements of a feature in two snapshots.
+ *
+ * The versions of a browser are those of its first support statement,
+ * which is the current one by convention.
+ *
+ * @param {string} path The dotted identifier of the feature
+ * @param {CompatStatement} before The statement in the first snapshot
+ * @param {CompatStatement} after The statement in the second snapshot
+ * @returns {Change[]}
+ */
+const diffFeature = (path, before, after) => {
+  /** @type {Change[]} */
+  const changes = [];
+
+  const browsers = Object.keys(before.support).concat(
+    Object.keys(after.support).filter(browser => !before.support[browser]),
+  );
+  for (const browser of browsers) {
+    const from = [].concat(before.support[browser] || []);
+    const to = [].concat(after.support[browser] || []);
+
+    for (const type of ['version_added', 'version_removed']) {
+      const fromValue = from.length ? from[0][type] : undefined;
+      const toValue = to.length ? to[0][type] : undefined;
+      if (fromValue !== toValue) {
+        changes.push(
+          change({ path, type, browser, from: fromValue, to: toValue }),
+        );
+      }
+    }
+
+    const fromFlags = getFlags(from);
+    const toFlags = getFlags(to);
+    toFlags
+      .filter(flag => !fromFlags.includes(flag))
+      .forEach(flag =>
+        changes.push({ path, type: 'flag_added', browser, flag }),
+      );
+    fromFlags
+      .filter(flag => !toFlags.includes(flag))
+      .forEach(flag =>
+        changes.push({ path, type: 'flag_removed', browser, flag }),
+      );
+  }
+
+  for (const field of Object.keys(STATUS_FIELDS)) {
+    const fromValue = before.status ? before.status[field] : undefined;
+    const toValue = after.status ? after.status[field] : undefined;
+    if (fromValue !== toValue) {
+      changes.push(
+        change({ path, type: 'status', field, from: fromValue, to: toValue }),
+      );
+    }
+  }
+
+  if (before.mdn_url !== after.mdn_url) {
+    changes.push(
+      change({
+        path,
+        type: 'mdn_url',
+        from: before.mdn_url,
+        to: after.mdn_url,
+      }),
+    );
+  }
+
+  return changes;
+};
+
+/**
+ * Compare two snapshots of the compat data: which features were added or
+ * removed, and for the others, which versions, flags, status fields and
+ * MDN URLs changed
+ *
+ * @param {CompatData} before The first snapshot
+ * @param {CompatData} after The second snapshot
+ * @param {DiffOptions} [options]
+ * @returns {Diff}
+ */
+const diffData = (before, after, options = {}) => {
+  const beforeFeatures = getFeatures(before, options);
+  const afterFeatures = getFeatures(after, options);
+
+  /** @type {Diff} */
+  const diff = { added: [], removed: [], changes: [] };
+  for (const [path, compat] of afterFeatures) {
+    if (beforeFeatures.has(path)) {
+      diff.changes.push(...diffFeature(path, beforeFeatures.get(path), compat));
+    } else {
+      diff.added.push(path);
+    }
+  }
+  for (const path of beforeFeatures.keys()) {
+    if (!afterFeatures.has(path)) {
+      diff.removed.push(path);
+    }
+  }
+
+  return diff;
+};
+
+/**
+ * List the browser releases which were added between two snapshots of the
+ * compat data
+ *
+ * @param {CompatData} before The first snapshot
+ * @param {CompatData} after The second snapshot
+ * @returns {NewRelease[]} The releases, in order for each browser
+ */
+const diffReleases = (before, after) => {
+  /** @type {NewRelease[]} */
+  const releases = [];
+
+  const beforeBrowsers = before.browsers || {};
+  for (const [browser, { releases: afterReleases }] of Object.entries(
+    after.browsers || {},
+  )) {
+    const beforeReleases = beforeBrowsers[browser]
+      ? beforeBrowsers[browser].releases
+      : {};
+    Object.keys(afterReleases)
+      .filter(version => !beforeReleases[version])
+      .sort(compareReleaseNumbers)
+      .forEach(version => releases.push({ browser, version }));
+  }
+
+  return releases;
+};
+
+/**
+ * Format a value of a change for Markdown
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const formatValue = value =>
+  value === undefined ? 'nothing' : `\`${JSON.stringify(value)}\``;
+
+/**
+ * Describe a change in words, for Markdown
+ *
+ * @param {Change} change
+ * @returns {string}
+ */
+const describeChange = ({ type, browser, field, flag, from, to }) => {
+  switch (type) {
+    case 'flag_added':
+      return `${browser}: flag \`${flag}\` added`;
+    case 'flag_removed':
+      return `${browser}: flag \`${flag}\` removed`;
+    case 'status':
+      return `\`status.${field}\` changed from ${formatValue(
+        from,
+      )} to ${formatValue(to)}`;
+    case 'mdn_url':
+      return `\`mdn_url\` changed from ${from ? `<${from}>` : 'nothing'} to ${
+        to ? `<${to}>` : 'nothing'
+      }`;
+    default:
+      return `${browser}: \`${type}\` changed from ${formatValue(
+        from,
+      )} to ${formatValue(to)}`;
+  }
+};
+
+/**
+ * Render a diff as a Markdown changelog
+ *
+ * @param {Diff} diff The diff
+ * @param {string} [heading] The Markdown heading prefix of the sections (e.g. "###")
+ * @returns {string}
+ */
+const renderMarkdown = (diff, heading = '##') => {
+  if (!diff.added.length && !diff.removed.length && !diff.changes.length) {
+    return 'No changes.';
+  }
+
+  const sections = [];
+  if (diff.added.length) {
+    sections.push(
+      `${heading} Added features (${diff.added.length})\n\n${diff.added
+        .map(path => `- \`${path}\``)
+        .join('\n')}`,
+    );
+  }
+  if (diff.removed.length) {
+    sections.push(
+      `${heading} Removed features (${
+        diff.removed.length
+      })\n\n${diff.removed.map(path => `- \`${path}\``).join('\n')}`,
+    );
+  }
+  if (diff.changes.length) {
+    const paths = [];
+    for (const { path } of diff.changes) {
+      if (!paths.includes(path)) paths.push(path);
+    }
+    sections.push(
+      `${heading} Changed features (${paths.length})\n\n${paths
+        .map(
+          path =>
+            `- \`${path}\`\n${diff.changes
+              .filter(c => c.path === path)
+              .map(c => `  - ${describeChange(c)}`)
+              .join('\n')}`,
+        )
+        .join('\n')}`,
+    );
+  }
+
+  return sections.join('\n\n');
+};
+
+/**
+ * Join a list of features for a summary, cutting it short after a number
+ * of them
+ *
+ * @param {string[]} paths The dotted identifiers of the features
+ * @param {number} limit The maximum number of features to list
+ * @returns {string}
+ */
+const joinPaths = (paths, limit) =>
+  paths
+    .slice(0, limit)
+    .map(path => `\`${path}\``)
+    .join(', ') +
+  (paths.length > limit ? ` and ${paths.length - limit} more` : '');
+
+/**
+ * Summarize a diff as a Markdown list for release notes: the new features
+ * of each category, the removed features, the new browser releases and the
+ * status changes
+ *
+ * @param {Diff} diff The diff
+ * @param {SummaryOptions} [options]
+ * @returns {string}
+ */
+const renderSummary = (
+  diff,
+  { releases = [], browsers = {}, limit = 10 } = {},
+) => {
+  const items = [];
+
+  /** @type {Map<string, string[]>} */
+  const added = new Map();
+  for (const path of diff.added) {
+    const category = path.split('.')[0];
+    added.set(category, (added.get(category) || []).concat(path));
+  }
+  for (const [category, paths] of added) {
+    items.push(
+      `- New features in \`${category}\` (${paths.length}): ${joinPaths(
+        paths,
+        limit,
+      )}`,
+    );
+  }
+
+  if (diff.removed.length) {
+    items.push(
+      `- Removed features (${diff.removed.length}): ${joinPaths(
+        diff.removed,
+        limit,
+      )}`,
+    );
+  }
+
+  if (releases.length) {
+    items.push(
+      `- New browser releases: ${releases
+        .map(
+          ({ browser, version }) =>
+            `${
+              browsers[browser] ? browsers[browser].name : browser
+            } ${version}`,
+        )
+        .join(', ')}`,
+    );
+  }
+
+  // Only changes to a known value are described, as a new status block
+  // saying that a feature isn't deprecated, say, isn't worth noting
+  const statusChanges = diff.changes
+    .filter(
+      c =>
+        c.type === 'status' &&
+        (c.to === true || (c.to === false && c.from === true)),
+    )
+    .map(
+      ({ path, field, to }) =>
+        `\`${path}\` is ${to ? 'now' : 'no longer'} ${STATUS_FIELDS[field]}`,
+    );
+  if (statusChanges.length) {
+    items.push(
+      `- Status changes (${statusChanges.length}):\n${statusChanges
+        .slice(0, limit)
+        .map(change => `  - ${change}`)
+        .join('\n')}${
+        statusChanges.length > limit
+          ? `\n  - … and ${statusChanges.length - limit} more`
+          : ''
+      }`,
+    );
+  }
+
+  return items.length ? items.join('\n') : '- No changes to the data';
+};
+
+module.exports = { diffData, diffReleases, renderMarkdown, renderSummary };
@@ -0,0 +1,343 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { closest } = require('./closest.js');
+const { compareReleaseNumbers } = require('./releases.js');
+const { parseVersion } = require('./versions.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').SimpleSupportStatement} SimpleSupportStatement
+ *
+ * @typedef {(compat: CompatStatement, browser: string|null) => boolean} Matcher
+ *
+ * @typedef {object} FilterOptions
+ * @property {CompatData} data The compat data containing the browsers
+ * @property {string} [browser] The browser of the conditions which don't name one
+ */
+
+/** The scopes which match a condition in any or in all listed browsers */
+const QUANTIFIERS = ['any', 'all'];
+
+/** The conditions on the status of a feature, which apply to every browser */
+const STATUS_CONDITIONS = ['experimental', 'standard_track', 'deprecated'];
+
+/** The conditions on the support statements of a browser */
+const STATEMENT_CONDITIONS = [
+  'flags',
+  'prefix',
+  'unprefixed',
+  'alternative_name',
+  'partial_implementation',
+  'notes',
+  'added',
+  'removed',
+];
+
+/** The conditions which can be compared to a value with `=` and `!=` */
+const COMPARED_CONDITIONS = ['prefix', 'alternative_name', 'added', 'removed'];
+
+/** The conditions which can be compared to a release with `<`, `>` etc. */
+const ORDERED_CONDITIONS = ['added', 'removed'];
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Split a filter expression into tokens
+ *
+ * @param {string} expression The filter expression
+ * @returns {string[]}
+ * @throws {Error} If the expression contains an invalid character
+ */
+const tokenize = expression => {
+  const tokenRegExp = /\s*(&&|\|\||!=|<=|>=|[()!:=<>]|[^\s()!:=<>&|]+)\s*/y;
+  const tokens = [];
+
+  while (tokenRegExp.lastIndex < expression.length) {
+    const start = tokenRegExp.lastIndex;
+    const match = tokenRegExp.exec(expression);
+    if (!match) {
+      throw new Error(
+        `Invalid filter "${expression}": Unexpected "${
+          expression[start]
+        }" at position ${start + 1}`,
+      );
+    }
+    tokens.push(match[1]);
+  }
+
+  return tokens;
+};
+
+/**
+ * Remove the dashes around a prefix, so that "-webkit-" matches "webkit"
+ *
+ * @param {string} prefix
+ * @returns {string}
+ */
+const normalizePrefix = prefix => prefix.replace(/^-|-$/g, '');
+
+/**
+ * Compare a version value of a support statement to the value of a condition
+ *
+ * @param {any} actual The value of the support statement
+ * @param {string} operator The comparison operator
+ * @param {string} expected The value of the condition
+ * @returns {boolean}
+ */
+const compareValue = (actual, operator, expected) => {
+  if (operator === '=') return String(actual) === expected;
+  if (operator === '!=') return String(actual) !== expected;
+
+  // Only release numbers and ranges can be ordered; a range ("≤37") is
+  // ordered at its release, like `compareVersions()` does
+  let release;
+  try {
+    release = parseVersion(actual).release;
+  } catch (e) {
+    return false;
+  }
+  if (release === null) return false;
+
+  const diff = compareReleaseNumbers(release, parseVersion(expected).release);
+  return (
+    (operator === '<' && diff < 0) ||
+    (operator === '<=' && diff <= 0) ||
+    (operator === '>' && diff > 0) ||
+    (operator === '>=' && diff >= 0)
+  );
+};
+
+/**
+ * Create the test of a condition on a single support statement
+ *
+ * @param {string} name The name of the condition
+ * @param {string} [operator] The comparison operator, if any
+ * @param {string} [value] The value to compare to, if any
+ * @returns {(statement: SimpleSupportStatement) => boolean}
+ */
+const statementTest = (name, operator, value) => {
+  switch (name) {
+    case 'flags':
+      return statement => !!statement.flags;
+    case 'prefix':
+      return statement =>
+        !!statement.prefix &&
+        (!operator ||
+          (normalizePrefix(statement.prefix) === normalizePrefix(value)) ===
+            (operator === '='));
+    case 'unprefixed':
+      return statement =>
+        !statement.prefix &&
+        !statement.alternative_name &&
+        !statement.flags &&
+        statement.version_added !== false &&
+        statement.version_added !== null;
+    case 'alternative_name':
+      return statement =>
+        !!statement.alternative_name &&
+        (!operator ||
+          (statement.alternative_name === value) === (operator === '='));
+    case 'partial_implementation':
+      return statement => !!statement.partial_implementation;
+    case 'notes':
+      return statement => !!statement.notes;
+    default: {
+      // added and removed
+      const key = name === 'added' ? 'version_added' : 'version_removed';
+      return statement => {
+        const actual = key in statement ? statement[key] : false;
+        return operator
+          ? compareValue(actual, operator, value)
+          : actual !== false && actual !== null;
+      };
+    }
+  }
+};
+
+/**
+ * Parse a filter expression into a function matching features.
+ *
+ * An expression combines conditions with `and`, `or`, `not` (or `&&`, `||`,
+ * `!`) and parentheses. A condition applies to the default browser unless it
+ * is prefixed by a browser, such as `safari:prefix`, or by `any:` or `all:`
+ * to apply to any or all browsers with support data. A prefix can also apply
+ * to a parenthesized expression, such as `chrome:(flags or prefix)`.
+ *
+ * The conditions are `flags`, `prefix`, `unprefixed`, `alternative_name`,
+ * `partial_implementation` and `notes`, which match if any support statement
+ * of the browser has them, `added` and `removed`, which can be compared to a
+ * version (such as `added > 80` or `removed = null`), and the status
+ * conditions `experimental`, `standard_track` and `deprecated`. `prefix` and
+ * `alternative_name` can be compared to a name, such as `prefix = webkit`.
+ *
+ * @param {string} expression The filter expression (e.g. "safari:prefix and chrome:unprefixed")
+ * @param {FilterOptions} options The data and the default browser
+ * @returns {(compat: CompatStatement) => boolean}
+ * @throws {Error} If the expression is invalid or names a browser which does not exist
+ */
+const parseFilter = (expression, { data, browser = null }) => {
+  const tokens = tokenize(expression);
+  let i = 0;
+
+  /** @param {string} message */
+  const fail = message => {
+    throw new Error(`Invalid filter "${expression}": ${message}`);
+  };
+  /** @param {string[]} words */
+  const accept = (...words) => {
+    if (words.includes(tokens[i])) {
+      return tokens[i++];
+    }
+    return null;
+  };
+
+  /**
+   * @param {string} name
+   * @param {string|null} scope
+   * @returns {Matcher}
+   */
+  const parseCondition = (name, scope) => {
+    if (STATUS_CONDITIONS.includes(name)) {
+      return compat => !!(compat.status && compat.status[name]);
+    }
+    if (!STATEMENT_CONDITIONS.includes(name)) {
+      fail(
+        `"${name}" is not a condition. Did you mean "${closest(
+          name,
+          STATEMENT_CONDITIONS.concat(STATUS_CONDITIONS),
+        )}"?`,
+      );
+    }
+    if (!scope) {
+      fail(`"${name}" needs a browser, such as "chrome:${name}"`);
+    }
+
+    const operator = accept(...OPERATORS);
+    let value;
+    if (operator) {
+      value = tokens[i++];
+      if (value === undefined || /^[()!:=<>&|]/.test(value)) {
+        fail(`Expected a value after "${name} ${operator}"`);
+      }
+      const isOrdering = !['=', '!='].includes(operator);
+      if (
+        !(isOrdering ? ORDERED_CONDITIONS : COMPARED_CONDITIONS).includes(name)
+      ) {
+        fail(`"${name}" can't be compared with "${operator}"`);
+      }
+      if (isOrdering) {
+        try {
+          if (parseVersion(value).release === null) throw new Error();
+        } catch (e) {
+          fail(`"${value}" is not a release number`);
+        }
+      }
+    }
+
+    const test = statementTest(name, operator, value);
+    return (compat, browser) => {
+      const support = compat.support[browser];
+      const statements = support
+        ? [].concat(support)
+        : [{ version_added: null }];
+      return statements.some(test);
+    };
+  };
+
+  /**
+   * @param {string|null} scope
+   * @returns {Matcher}
+   */
+  const parseFactor = scope => {
+    const token = tokens[i];
+    if (token === undefined) {
+      fail('Unexpected end');
+    }
+
+    if (accept('!', 'not')) {
+      const factor = parseFactor(scope);
+      return (compat, b) => !factor(compat, b);
+    }
+
+    if (accept('(')) {
+      const inner = parseOr(scope);
+      if (!accept(')')) {
+        fail('Expected ")"');
+      }
+      return inner;
+    }
+
+    if (/^[()!:=<>&|]/.test(token)) {
+      fail(`Unexpected "${token}"`);
+    }
+    i++;
+
+    if (accept(':')) {
+      if (QUANTIFIERS.includes(token)) {
+        const factor = parseFactor('*');
+        return token === 'any'
+          ? compat => Object.keys(compat.support).some(b => factor(compat, b))
+          : compat => Object.keys(compat.support).every(b => factor(compat, b));
+      }
+      if (!Object.prototype.hasOwnProperty.call(data.browsers, token)) {
+        fail(
+          `"${token}" is not a known browser. Did you mean "${closest(
+            token,
+            Object.keys(data.browsers).concat(QUANTIFIERS),
+          )}"?`,
+        );
+      }
+      const factor = parseFactor(token);
+      return compat => factor(compat, token);
+    }
+
+    return parseCondition(token, scope);
+  };
+
+  /**
+   * @param {string|null} scope
+   * @returns {Matcher}
+   */
+  const parseAnd = scope => {
+    const factors = [parseFactor(scope)];
+    while (accept('and', '&&')) {
+      factors.push(parseFactor(scope));
+    }
+    return (compat, b) => factors.every(factor => factor(compat, b));
+  };
+
+  /**
+   * @param {string|null} scope
+   * @returns {Matcher}
+   */
+  const parseOr = scope => {
+    const terms = [parseAnd(scope)];
+    while (accept('or', '||')) {
+      terms.push(parseAnd(scope));
+    }
+    return (compat, b) => terms.some(term => term(compat, b));
+  };
+
+  if (
+    browser &&
+    !Object.prototype.hasOwnProperty.call(data.browsers, browser)
+  ) {
+    throw new Error(
+      `"${browser}" is not a known browser. Did you mean "${closest(
+        browser,
+        Object.keys(data.browsers),
+      )}"?`,
+    );
+  }
+
+  const matcher = parseOr(browser);
+  if (i < tokens.length) {
+    fail(`Unexpected "${tokens[i]}"`);
+  }
+  return compat => matcher(compat, browser);
+};
+
+module.exports = { parseFilter };
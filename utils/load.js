@@ -0,0 +1,247 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const extend = require('extend');
+const { parseJSON } = require('./parse-json.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ *
+ * @typedef {object} LoadOptions
+ * @property {string|null} [buildDir] The directory containing the prebuilt bundles, or null to always load from the data directories
+ * @property {boolean} [strict] Whether to throw when a file is not valid JSON or redefines what another file defines, instead of silently skipping or overwriting it; always loads from the data directories
+ */
+
+/** The root of the repository, which the data directories are relative to. */
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/** The directory the prebuilt bundles are written to by `npm run build`. */
+const BUILD_DIR = path.resolve(ROOT_DIR, 'build');
+
+/**
+ * Check whether a value is a plain object, which is merged deeply with
+ * other files rather than replaced
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isPlainObject = value =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Record what a file defines, and throw if another file already defines
+ * the same `__compat` block or value. Since files are merged deeply, only
+ * these would overwrite each other.
+ *
+ * @param {object} data The contents of the file
+ * @param {string} file The path of the file, relative to the repository
+ * @param {Map<string, {file: string, value: unknown}>} definitions What the files loaded so far define
+ * @param {string} [prefix] The dotted identifier of `data`
+ * @throws {Error} If the file redefines something
+ */
+function checkDefinitions(data, file, definitions, prefix = '') {
+  for (const key of Object.keys(data)) {
+    const id = prefix ? `${prefix}.${key}` : key;
+    const value = data[key];
+
+    if (key !== '__compat' && isPlainObject(value)) {
+      checkDefinitions(value, file, definitions, id);
+      continue;
+    }
+
+    const previous = definitions.get(id);
+    if (previous) {
+      let conflict;
+      if (key === '__compat') {
+        const browsers = Object.keys(
+          Object.assign({}, previous.value.support, value.support),
+        ).filter(
+          browser =>
+            JSON.stringify(previous.value.support[browser]) !==
+            JSON.stringify(value.support[browser]),
+        );
+        conflict = `both define the __compat block of "${prefix}"${
+          browsers.length
+            ? ` (with conflicting support statements for ${browsers.join(
+                ', ',
+              )})`
+            : ''
+        }`;
+      } else {
+        conflict = `both define "${id}"`;
+      }
+      throw new Error(`${previous.file} and ${file} ${conflict}`);
+    }
+    definitions.set(id, { file, value });
+  }
+}
+
+/**
+ * Recursively load one or more directories, relative to the root of
+ * the repository, and merge their contents
+ *
+ * @param {string[]} dirs The directories to load
+ * @param {LoadOptions} [options]
+ * @param {Map<string, {file: string, value: unknown}>} [definitions] What the files loaded so far define, in strict mode
+ * @returns {CompatData}
+ * @throws {Error} In strict mode, if a file is not valid JSON or redefines something
+ */
+function load(dirs, { strict = false } = {}, definitions = new Map()) {
+  let dir,
+    result = {};
+
+  function processFilename(fn) {
+    const fp = path.join(dir, fn);
+    let extra;
+
+    // If the given filename is a directory, recursively load it.
+    if (fs.statSync(fp).isDirectory()) {
+      extra = load([fp], { strict }, definitions);
+    } else if (path.extname(fp) === '.json') {
+      if (strict) {
+        const relativePath = path.relative(ROOT_DIR, fp);
+        extra = parseJSON(fs.readFileSync(fp, 'utf-8'), relativePath);
+        checkDefinitions(extra, relativePath, definitions);
+      } else {
+        // Not `require()`, so that data loaded from elsewhere, such as the
+        // snapshots of `utils/snapshot.js`, isn't kept in the module cache
+        try {
+          extra = JSON.parse(fs.readFileSync(fp, 'utf-8'));
+        } catch (e) {}
+      }
+    }
+
+    // The JSON data is independent of the actual file
+    // hierarchy, so it is essential to extend "deeply".
+    result = extend(true, result, extra);
+  }
+
+  for (dir of dirs) {
+    dir = path.resolve(ROOT_DIR, dir);
+    fs.readdirSync(dir).forEach(processFilename);
+  }
+
+  return result;
+}
+
+/**
+ * Get when the newest file in one or more directories, relative to the
+ * root of the repository, was last modified
+ *
+ * @param {string[]} dirs The directories to check
+ * @returns {number} The modification time in milliseconds, or 0 if there are no files
+ */
+function getLastModified(dirs) {
+  let lastModified = 0;
+
+  for (const dir of dirs) {
+    const fp = path.resolve(ROOT_DIR, dir);
+    if (!fs.existsSync(fp)) {
+      continue;
+    }
+
+    const stats = fs.statSync(fp);
+    lastModified = Math.max(
+      lastModified,
+      stats.isDirectory()
+        ? getLastModified(fs.readdirSync(fp).map(fn => path.join(fp, fn)))
+        : stats.mtimeMs,
+    );
+  }
+
+  return lastModified;
+}
+
+/**
+ * Check whether a prebuilt bundle is at least as new as every file in the
+ * data directories it was built from, so that a bundle left over from an
+ * earlier `npm run build` doesn't hide later changes to the data
+ *
+ * @param {string} file The path of the bundle
+ * @param {string[]} dirs The data directories the bundle was built from
+ * @returns {boolean}
+ */
+function isBundleFresh(file, dirs) {
+  return fs.statSync(file).mtimeMs >= getLastModified(dirs);
+}
+
+/**
+ * Load a single category, from its prebuilt bundle or the merged
+ * `data.json` bundle if there is one which is up to date, or else from
+ * its directory
+ *
+ * @param {string} category The category to load
+ * @param {LoadOptions} [options]
+ * @param {Map<string, CompatData>} [bundles] The bundles parsed so far, which other categories may be read from too
+ * @returns {object} The contents of the category
+ */
+function loadCategory(
+  category,
+  { buildDir = BUILD_DIR, strict = false } = {},
+  bundles = new Map(),
+) {
+  if (buildDir && !strict) {
+    const bundle = [`${category}.json`, 'data.json']
+      .map(name => path.join(buildDir, name))
+      .find(file => fs.existsSync(file));
+
+    if (bundle && isBundleFresh(bundle, [category])) {
+      if (!bundles.has(bundle)) {
+        bundles.set(bundle, JSON.parse(fs.readFileSync(bundle, 'utf-8')));
+      }
+      return bundles.get(bundle)[category];
+    }
+  }
+
+  return load([category], { strict })[category];
+}
+
+/**
+ * Create the compat data object, in which every category is only loaded
+ * the first time it is accessed
+ *
+ * @param {string[]} categories The categories to load
+ * @param {LoadOptions} [options]
+ * @returns {CompatData}
+ */
+function loadLazily(categories, options) {
+  const data = {};
+  const bundles = new Map();
+
+  for (const category of categories) {
+    /** @param {unknown} value */
+    const setValue = value => {
+      Object.defineProperty(data, category, {
+        value,
+        configurable: true,
+        enumerable: true,
+        writable: true,
+      });
+    };
+
+    Object.defineProperty(data, category, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        const value = loadCategory(category, options, bundles);
+        setValue(value);
+        return value;
+      },
+      set: setValue,
+    });
+  }
+
+  return data;
+}
+
+module.exports = {
+  ROOT_DIR,
+  BUILD_DIR,
+  load,
+  loadCategory,
+  loadLazily,
+  isBundleFresh,
+};
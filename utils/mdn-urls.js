@@ -0,0 +1,168 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { walk } = require('./walk.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ *
+ * @typedef {object} MdnUrl
+ * @property {string} page The path of the page, without locale or trailing slash, in lower case (e.g. "docs/web/api/window")
+ * @property {string|null} fragment The section of the page, in lower case, or null for the whole page
+ *
+ * @typedef {object} MdnUrlEntry
+ * @property {string} path The dotted identifier of the feature
+ * @property {string} mdn_url The `mdn_url` of the feature, as it is in the data
+ * @property {string|null} fragment The normalized section of the page it points to, if any
+ *
+ * @typedef {Record<string, MdnUrlEntry[]>} MdnUrlIndex
+ *
+ * @typedef {object} MdnUrlMatch
+ * @property {string} path The dotted identifier of the feature
+ * @property {string} mdn_url The `mdn_url` of the feature, as it is in the data
+ * @property {boolean} shared Whether other features point to the same page (and section)
+ *
+ * @typedef {object} SharedMdnUrl
+ * @property {string} mdn_url The `mdn_url` of the first feature pointing to it
+ * @property {string[]} paths The dotted identifiers of the features pointing to it
+ */
+
+/** @type {WeakMap<CompatData, MdnUrlIndex>} */
+const indexes = new WeakMap();
+
+/**
+ * Normalize an MDN URL, so that URLs pointing to the same page match
+ * whatever their locale, trailing slash, query or case. The origin, the
+ * locale and even `docs/` may be omitted (e.g. "Web/API/Window").
+ *
+ * @param {string} url The URL
+ * @returns {MdnUrl}
+ * @throws {Error} If the URL isn't the URL of an MDN page
+ */
+const normalizeMdnUrl = url => {
+  const match = url
+    .trim()
+    .match(
+      /^(?:(?:https?:)?\/\/developer\.mozilla\.org|developer\.mozilla\.org)?\/?(?:[a-z]{2,3}(?:-[a-z]{2,4})?\/(?=docs\/))?(?:docs\/)?([^?#]*?)\/*(?:\?[^#]*)?(?:#(.*))?$/i,
+    );
+  if (!match || !match[1] || /^\/|:\/\//.test(match[1])) {
+    throw new Error(`"${url}" is not the URL of an MDN page`);
+  }
+
+  /** @param {string} part */
+  const decode = part => {
+    try {
+      return decodeURIComponent(part);
+    } catch (e) {
+      return part;
+    }
+  };
+
+  return {
+    page: `docs/${decode(match[1])}`.toLowerCase(),
+    fragment: match[2] ? decode(match[2]).toLowerCase() : null,
+  };
+};
+
+/**
+ * Build the reverse index from every MDN page to the features pointing to it
+ *
+ * @param {CompatData} data The compat data
+ * @returns {MdnUrlIndex}
+ */
+const buildMdnUrlIndex = data => {
+  /** @type {MdnUrlIndex} */
+  const index = {};
+
+  for (const { path, compat } of walk(data)) {
+    if (!compat.mdn_url) {
+      continue;
+    }
+    const { page, fragment } = normalizeMdnUrl(compat.mdn_url);
+    if (!Object.prototype.hasOwnProperty.call(index, page)) {
+      index[page] = [];
+    }
+    index[page].push({ path, mdn_url: compat.mdn_url, fragment });
+  }
+
+  return index;
+};
+
+/**
+ * Get the MDN URL index of the compat data, building it on first use
+ *
+ * @param {CompatData} data The compat data
+ * @returns {MdnUrlIndex}
+ */
+const getMdnUrlIndex = data => {
+  if (!indexes.has(data)) {
+    indexes.set(data, buildMdnUrlIndex(data));
+  }
+  return indexes.get(data);
+};
+
+/**
+ * Find the features whose `mdn_url` points to a page. Without a section
+ * (`#…`), every feature pointing to the page or to a section of it is
+ * found; with one, only the features pointing to that section.
+ *
+ * @param {CompatData} data The compat data
+ * @param {string} url The URL of the page, with or without origin, locale or trailing slash
+ * @returns {MdnUrlMatch[]} The features, or an empty array if there are none
+ * @throws {Error} If the URL isn't the URL of an MDN page
+ */
+const lookupMdnUrl = (data, url) => {
+  const { page, fragment } = normalizeMdnUrl(url);
+  const entries = getMdnUrlIndex(data)[page] || [];
+
+  return entries
+    .filter(entry => fragment === null || entry.fragment === fragment)
+    .map(entry => ({
+      path: entry.path,
+      mdn_url: entry.mdn_url,
+      shared: entries.some(
+        other => other !== entry && other.fragment === entry.fragment,
+      ),
+    }));
+};
+
+/**
+ * List the pages (and sections) which several features point to, which
+ * usually means that the data should be split or the URLs corrected
+ *
+ * @param {CompatData} data The compat data
+ * @returns {SharedMdnUrl[]}
+ */
+const getSharedMdnUrls = data => {
+  /** @type {SharedMdnUrl[]} */
+  const shared = [];
+
+  for (const entries of Object.values(getMdnUrlIndex(data))) {
+    /** @type {Map<string|null, MdnUrlEntry[]>} */
+    const byFragment = new Map();
+    for (const entry of entries) {
+      byFragment.set(
+        entry.fragment,
+        (byFragment.get(entry.fragment) || []).concat(entry),
+      );
+    }
+    for (const group of byFragment.values()) {
+      if (group.length > 1) {
+        shared.push({
+          mdn_url: group[0].mdn_url,
+          paths: group.map(entry => entry.path),
+        });
+      }
+    }
+  }
+
+  return shared;
+};
+
+module.exports = {
+  normalizeMdnUrl,
+  buildMdnUrlIndex,
+  lookupMdnUrl,
+  getSharedMdnUrls,
+};
@@ -0,0 +1,588 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const {
+  getReleaseOrder,
+  getReleaseIndex,
+  getReleases,
+  getEngine,
+  getReleaseForEngine,
+} = require('./releases.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').SupportStatement} SupportStatement
+ * @typedef {import('../types').SimpleSupportStatement} SimpleSupportStatement
+ * @typedef {import('../types').ReleaseStatement} ReleaseStatement
+ *
+ * @typedef {'nonreal' | 'bool' | 'always'} ModifyMode
+ *
+ * @typedef {object} MirrorOptions
+ * @property {string} [source] The browser to mirror from, instead of its upstream browser
+ * @property {ModifyMode} [modify] When to mirror: if the destination's `version_added` is true or null ("nonreal"), also if it is false ("bool"), or always ("always")
+ * @property {CompatData} data The compat data containing the browsers, to map releases between them
+ *
+ * @typedef {object} Conflict
+ * @property {SupportStatement} current The current support of the destination browser
+ * @property {SupportStatement} derived The support of the destination browser derived from the source browser
+ *
+ * @typedef {(originalData: SupportStatement|undefined, sourceData: SupportStatement, source: string, data: CompatData) => SupportStatement} BumpFunction
+ */
+
+/** The values of the `modify` option */
+const MODIFY_MODES = ['nonreal', 'bool', 'always'];
+
+/**
+ * The names of browsers in notes, for the browsers whose notes name their
+ * source browser, Chrome
+ *
+ * @type {Record<string, string>}
+ */
+const NOTE_NAMES = {
+  opera: 'Opera',
+  opera_android: 'Opera',
+  samsunginternet_android: 'Samsung Internet',
+};
+
+/**
+ * Check whether two browsers have releases built on the same engine, so
+ * that their releases can be mapped onto each other
+ *
+ * @param {CompatData} data
+ * @param {string} browser
+ * @param {string} otherBrowser
+ * @returns {boolean}
+ */
+const sharesEngine = (data, browser, otherBrowser) => {
+  const engines = getReleases(data, browser).map(release => release.engine);
+  return getReleases(data, otherBrowser).some(
+    release => release.engine && engines.includes(release.engine),
+  );
+};
+
+/**
+ * Map a version of the source browser to the first release of the
+ * destination built on the same engine version
+ *
+ * @param {CompatData} data
+ * @param {string} source The source browser
+ * @param {string} version The version of the source browser, which may be ranged (e.g. "≤18")
+ * @param {string} dest The destination browser
+ * @returns {string|boolean|null} The release of the destination, false if it has no matching release yet, or null if the engine of the version isn't known
+ * @throws {Error} If the version isn't a known release of the source browser
+ */
+const getMatchingBrowserVersion = (data, source, version, dest) => {
+  const ranged = version.startsWith('≤');
+  const order = getReleaseOrder(data, source);
+  const engine = getEngine(
+    data,
+    source,
+    order[getReleaseIndex(order, source, ranged ? version.slice(1) : version)],
+  );
+  if (!engine) {
+    return null;
+  }
+
+  let match;
+  if (
+    ['opera', 'opera_android', 'samsunginternet_android'].includes(dest) &&
+    engine.engine == 'WebKit'
+  ) {
+    // These browsers were never based on WebKit, so anything Chrome
+    // supported before it switched to Blink is supported in their first
+    // Blink release
+    match = getReleaseForEngine(data, dest, 'Blink', '0');
+  } else {
+    match = getReleaseForEngine(
+      data,
+      dest,
+      engine.engine,
+      engine.engine_version,
+    );
+  }
+
+  if (!match) {
+    return false;
+  }
+  return ranged ? `≤${match}` : match;
+};
+
+/**
+ * Get the browser a browser's support is mirrored from by default, which is
+ * its `upstream` browser
+ *
+ * @param {CompatData} data The compat data containing the browsers
+ * @param {string} browser
+ * @param {string} [forced_source]
+ * @returns {string}
+ * @throws {Error} If the browser has no upstream browser and no source is given
+ */
+const getSource = (data, browser, forced_source) => {
+  if (forced_source) {
+    return forced_source;
+  }
+
+  const upstream = data.browsers[browser] && data.browsers[browser].upstream;
+  if (!upstream) {
+    throw Error(
+      `${browser} has no upstream browser and a "source" browser must be specified.`,
+    );
+  }
+
+  return upstream;
+};
+
+/**
+ * Merge two notes, leaving out duplicates
+ *
+ * @param {string|string[]|null} notes1
+ * @param {string|string[]|null} notes2
+ * @returns {string|string[]|null}
+ */
+const combineNotes = (notes1, notes2) => {
+  let newNotes = [];
+
+  if (notes1) {
+    if (typeof notes1 === 'string') {
+      newNotes.push(notes1);
+    } else {
+      newNotes.push(...notes1);
+    }
+  }
+
+  if (notes2) {
+    if (typeof notes2 === 'string') {
+      newNotes.push(notes2);
+    } else {
+      newNotes.push(...notes2);
+    }
+  }
+
+  newNotes = newNotes.filter((item, pos) => newNotes.indexOf(item) == pos);
+
+  if (newNotes.length == 0) {
+    return null;
+  }
+  if (newNotes.length == 1) {
+    return newNotes[0];
+  }
+
+  return newNotes;
+};
+
+/**
+ * Replace text in notes, such as the name of the source browser
+ *
+ * @param {string|string[]|null} notes
+ * @param {RegExp} regex
+ * @param {string} replace
+ * @returns {string|string[]|null}
+ */
+const updateNotes = (notes, regex, replace) => {
+  if (notes === null || notes === undefined) {
+    return null;
+  }
+
+  if (typeof notes === 'string') {
+    return notes.replace(regex, replace);
+  }
+
+  let newNotes = [];
+  for (let note of notes) {
+    newNotes.push(note.replace(regex, replace));
+  }
+  return newNotes;
+};
+
+/**
+ * @param {SupportStatement} data
+ * @returns {SupportStatement}
+ */
+const copyStatement = data => {
+  let newData = {};
+  for (let i in data) {
+    newData[i] = data[i];
+  }
+
+  return newData;
+};
+
+/** @type {BumpFunction} */
+const bumpEdge = (originalData, sourceData, source) => {
+  let newData = {};
+
+  if (source == 'ie') {
+    if (sourceData.version_removed && sourceData.version_removed !== null) {
+      newData.version_added = false;
+    } else {
+      newData.version_added = sourceData.version_added ? '12' : null;
+    }
+
+    if (sourceData.notes) {
+      newData.notes = updateNotes(
+        sourceData.notes,
+        /Internet Explorer/g,
+        'Edge',
+      );
+    }
+  } else if (source == 'chrome') {
+    newData = copyStatement(
+      originalData == undefined ? sourceData : originalData,
+    );
+
+    let chromeFalse =
+      sourceData.version_added === false ||
+      sourceData.version_removed !== undefined;
+    let chromeNull = sourceData.version_added === null;
+
+    if (originalData === undefined) {
+      newData.version_added = chromeFalse ? false : chromeNull ? null : '≤79';
+    } else {
+      if (!chromeFalse && !chromeNull) {
+        if (originalData.version_added == true) {
+          newData.version_added = '≤18';
+        } else {
+          if (
+            sourceData.version_added == true ||
+            Number(sourceData.version_added) <= 79
+          ) {
+            if (originalData.version_added == false) {
+              newData.version_added = '79';
+            } else if (originalData.version_added == null) {
+              newData.version_added = '≤79';
+            }
+          } else {
+            newData.version_added = sourceData.version_added;
+          }
+        }
+      } else if (chromeFalse) {
+        if (originalData.version_added && !originalData.version_removed) {
+          newData.version_removed = '79';
+        }
+      }
+    }
+
+    let newNotes = combineNotes(
+      updateNotes(sourceData.notes, /Chrome/g, 'Edge'),
+      originalData && originalData.notes,
+    );
+
+    if (newNotes) {
+      newData.notes = newNotes;
+    }
+  }
+
+  return newData;
+};
+
+/**
+ * Create a bump function which maps the versions of the source browser to
+ * the releases of the destination built on the same engine version, and
+ * renames the source browser in the notes if the destination has a name
+ * for notes
+ *
+ * @param {string} destination The destination browser
+ * @returns {BumpFunction}
+ */
+const bumpByEngine = destination => (
+  originalData,
+  sourceData,
+  source,
+  data,
+) => {
+  let newData = copyStatement(sourceData);
+
+  if (typeof sourceData.version_added === 'string') {
+    newData.version_added = getMatchingBrowserVersion(
+      data,
+      source,
+      sourceData.version_added,
+      destination,
+    );
+  }
+
+  if (
+    sourceData.version_removed &&
+    typeof sourceData.version_removed === 'string'
+  ) {
+    newData.version_removed = getMatchingBrowserVersion(
+      data,
+      source,
+      sourceData.version_removed,
+      destination,
+    );
+  }
+
+  if (NOTE_NAMES[destination] && typeof sourceData.notes === 'string') {
+    newData.notes = updateNotes(
+      sourceData.notes,
+      /Chrome/g,
+      NOTE_NAMES[destination],
+    );
+  }
+
+  return newData;
+};
+
+/**
+ * Mirror Chrome Android onto WebView. WebView wasn't built on Chrome's
+ * WebKit releases, and its early Blink releases came with Android versions,
+ * so the versions before WebView 37 are mapped onto ranges and Android
+ * versions rather than by engine version.
+ *
+ * @type {BumpFunction}
+ */
+const bumpWebView = (originalData, sourceData, source) => {
+  let newData = copyStatement(sourceData);
+
+  const createWebViewRange = version => {
+    if (Number(version) <= 18) {
+      return '1';
+    } else if (Number(version) > 18 && Number(version) < 30) {
+      return '≤37';
+    } else if (Number(version) >= 30 && Number(version) < 33) {
+      return '4.4';
+    } else if (Number(version) >= 33 && Number(version) < 37) {
+      return '4.4.3';
+    } else {
+      return version;
+    }
+  };
+
+  if (typeof sourceData.version_added === 'string') {
+    newData.version_added = createWebViewRange(sourceData.version_added);
+  }
+
+  if (
+    sourceData.version_removed &&
+    typeof sourceData.version_removed === 'string'
+  ) {
+    newData.version_removed = createWebViewRange(sourceData.version_removed);
+  }
+
+  if (typeof sourceData.notes === 'string') {
+    newData.notes = updateNotes(sourceData.notes, /Chrome/g, 'WebView');
+  }
+
+  return newData;
+};
+
+/**
+ * The bump functions of destination browsers which aren't mirrored by
+ * engine version
+ *
+ * @type {Record<string, BumpFunction>}
+ */
+const BUMP_FUNCTIONS = {
+  edge: bumpEdge,
+  webview_android: bumpWebView,
+};
+
+/**
+ * Get the bump function of a destination browser: its own one, else one
+ * mapping releases by engine version
+ *
+ * @param {string} destination The destination browser
+ * @param {string} source The source browser
+ * @param {CompatData} data The compat data containing the browsers
+ * @returns {BumpFunction}
+ * @throws {Error} If the destination has no bump function of its own and shares no engine with the source browser, so that its releases can't be mapped
+ */
+const getBumpFunction = (destination, source, data) => {
+  if (BUMP_FUNCTIONS[destination]) {
+    return BUMP_FUNCTIONS[destination];
+  }
+  if (!sharesEngine(data, source, destination)) {
+    throw new Error(
+      `${destination} has no releases on an engine of ${source}, so the versions of ${source} can't be mapped onto it.`,
+    );
+  }
+  return bumpByEngine(destination);
+};
+
+/**
+ * Check whether a mirrored statement was added and removed in the same
+ * release of the destination, so that the destination never supported it
+ *
+ * @param {SimpleSupportStatement} statement
+ * @returns {boolean}
+ */
+const isCollapsed = statement =>
+  typeof statement.version_added === 'string' &&
+  statement.version_added === statement.version_removed;
+
+/**
+ * Convert the support of the source browser into support of the destination
+ *
+ * @param {SupportStatement} data The support of the source browser
+ * @param {string} destination The destination browser
+ * @param {string} source The source browser
+ * @param {SupportStatement} originalData The current support of the destination browser
+ * @param {CompatData} compatData The compat data containing the browsers
+ * @returns {SupportStatement|null} The support of the destination browser, or null if the source browser has none or none of its statements apply to the destination
+ */
+const bumpVersion = (data, destination, source, originalData, compatData) => {
+  let newData = null;
+  if (data == null) {
+    return null;
+  } else if (
+    Array.isArray(data) &&
+    !(destination == 'edge' && source == 'chrome')
+  ) {
+    newData = data
+      .map(statement =>
+        bumpVersion(statement, destination, source, originalData, compatData),
+      )
+      .filter(statement => statement !== null);
+    if (newData.length == 0) {
+      return null;
+    } else if (newData.length == 1) {
+      newData = newData[0];
+    }
+  } else {
+    const bumpFunction = getBumpFunction(destination, source, compatData);
+    newData = bumpFunction(originalData, data, source, compatData);
+    if (isCollapsed(newData)) {
+      return null;
+    }
+  }
+
+  return newData;
+};
+
+/**
+ * Check whether the support of the destination browser should be mirrored
+ *
+ * @param {SupportStatement|undefined} support The current support of the destination browser
+ * @param {ModifyMode} modify When to mirror
+ * @returns {boolean}
+ */
+const shouldMirror = (support, modify) => {
+  if (modify == 'always' || support === undefined) {
+    return true;
+  }
+
+  const triggers =
+    modify == 'nonreal'
+      ? [true, null, undefined]
+      : [true, false, null, undefined];
+  return []
+    .concat(support)
+    .some(statement => triggers.includes(statement.version_added));
+};
+
+/**
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+const clone = value =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Mirror the support of a feature in the upstream browser of a destination
+ * browser (such as Chrome for Opera) onto the destination browser, mapping
+ * the releases between them
+ *
+ * @param {CompatStatement} compat The compat statement of the feature, which isn't changed
+ * @param {string} dest The destination browser
+ * @param {MirrorOptions} options
+ * @returns {CompatStatement} A new compat statement, or the same one if nothing was mirrored
+ * @throws {Error} If `modify` is invalid, or if the destination has no upstream browser and no source is given
+ */
+const mirrorSupport = (compat, dest, { source, modify = 'nonreal', data }) => {
+  if (!MODIFY_MODES.includes(modify)) {
+    throw new Error(
+      `"${modify}" is not a valid modify mode; use ${MODIFY_MODES.join(', ')}`,
+    );
+  }
+  source = getSource(data, dest, source);
+  // Fail even for features the source has no support data for
+  getBumpFunction(dest, source, data);
+
+  if (!shouldMirror(compat.support[dest], modify)) {
+    return compat;
+  }
+  const newValue = bumpVersion(
+    clone(compat.support[source]),
+    dest,
+    source,
+    clone(compat.support[dest]),
+    data,
+  );
+  if (newValue === null) {
+    return compat;
+  }
+
+  return Object.assign({}, compat, {
+    support: Object.assign({}, compat.support, { [dest]: newValue }),
+  });
+};
+
+/**
+ * Get the browsers with an upstream browser, so that each browser comes
+ * after its upstream browser (such as Chrome Android before WebView)
+ *
+ * @param {CompatData} data The compat data containing the browsers
+ * @returns {string[]}
+ */
+const getDerivedBrowsers = data => {
+  const depth = browser =>
+    data.browsers[browser].upstream
+      ? depth(data.browsers[browser].upstream) + 1
+      : 0;
+
+  return Object.keys(data.browsers)
+    .filter(browser => data.browsers[browser].upstream)
+    .sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+};
+
+/**
+ * Check whether the real support of a feature in the destination browser
+ * disagrees with the support derived from the source browser, comparing
+ * the `version_added` of their first statements. Derived support which
+ * isn't a version or false, such as when the source's support is unknown,
+ * never disagrees.
+ *
+ * @param {CompatStatement} compat The compat statement of the feature
+ * @param {string} dest The destination browser
+ * @param {MirrorOptions} options The options of `mirrorSupport()`, besides `modify`
+ * @returns {Conflict|null} The conflicting support, or null if the support agrees or isn't real
+ * @throws {Error} If the destination has no upstream browser and no source is given
+ */
+const getConflict = (compat, dest, { source, data }) => {
+  const current = compat.support[dest];
+  const currentAdded = current && [].concat(current)[0].version_added;
+  if (typeof currentAdded !== 'string' || currentAdded.startsWith('≤')) {
+    return null;
+  }
+
+  const derived = mirrorSupport(compat, dest, {
+    source,
+    modify: 'always',
+    data,
+  }).support[dest];
+  const derivedAdded = [].concat(derived)[0].version_added;
+  if (
+    (typeof derivedAdded !== 'string' && derivedAdded !== false) ||
+    derivedAdded === currentAdded
+  ) {
+    return null;
+  }
+
+  return { current, derived };
+};
+
+module.exports = {
+  getDerivedBrowsers,
+  MODIFY_MODES,
+  BUMP_FUNCTIONS,
+  getSource,
+  combineNotes,
+  updateNotes,
+  bumpVersion,
+  mirrorSupport,
+  getConflict,
+};
@@ -0,0 +1,82 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+
+/**
+ * @typedef {'json' | 'csv' | 'ndjson'} OutputFormat
+ *
+ * @typedef {object} CSVOptions
+ * @property {string[]} [columns] The columns of the CSV, in order; defaults to every property of the (flattened) rows
+ * @property {(row: Record<string, any>) => Record<string, any>} [flatten] Turn a row into the cells of a CSV line, if its properties aren't all cells
+ */
+
+/** The machine-readable formats which scripts can print rows in */
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+/**
+ * Turn a value into a CSV cell, quoting it if needed. Strings are written
+ * as they are, missing values as empty cells and anything else as JSON.
+ *
+ * @param {any} value The value of the cell
+ * @returns {string}
+ */
+const toCSVCell = value => {
+  const text =
+    value === undefined
+      ? ''
+      : typeof value === 'string'
+      ? value
+      : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV, with a header line naming the columns
+ *
+ * @param {Record<string, any>[]} rows The rows, whose properties are the cells
+ * @param {string[]} columns The properties to write, in order
+ * @returns {string}
+ */
+const toCSV = (rows, columns) =>
+  [columns]
+    .concat(rows.map(row => columns.map(column => row[column])))
+    .map(cells => cells.map(toCSVCell).join(','))
+    .join('\n');
+
+/**
+ * Write rows in a machine-readable format: a JSON array, CSV, or one JSON
+ * object per line (NDJSON)
+ *
+ * @param {Record<string, any>[]} rows The rows
+ * @param {OutputFormat} format The format
+ * @param {CSVOptions} [options] How to write CSV
+ * @returns {string}
+ * @throws {Error} If the format isn't one of `FORMATS`
+ */
+const formatRows = (rows, format, { columns, flatten = row => row } = {}) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(row)).join('\n');
+    case 'csv': {
+      const flatRows = rows.map(flatten);
+      if (!columns) {
+        columns = [];
+        for (const row of flatRows) {
+          for (const column of Object.keys(row)) {
+            if (!columns.includes(column)) columns.push(column);
+          }
+        }
+      }
+      return toCSV(flatRows, columns);
+    }
+    default:
+      throw new Error(
+        `"${format}" is not an output format; use ${FORMATS.join(', ')}`,
+      );
+  }
+};
+
+module.exports = { FORMATS, toCSV, formatRows };
@@ -0,0 +1,146 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+
+/** Thrown internally by `findSyntaxError()` to unwind the scanner. */
+const SYNTAX_ERROR = Symbol('syntax error');
+
+/**
+ * Find the position of the first syntax error in a JSON text.
+ *
+ * The error messages of `JSON.parse()` don't reliably include a position
+ * (it depends on the Node.js version and on the error), so this scans the
+ * text itself following the JSON grammar.
+ *
+ * @param {string} text The JSON text
+ * @returns {number} The index of the first invalid character, or -1 if the text is valid
+ */
+const findSyntaxError = text => {
+  const numberRegExp = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  let i = 0;
+
+  const fail = () => {
+    throw SYNTAX_ERROR;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+  /** @param {string} char */
+  const expect = char => {
+    if (text[i] !== char) fail();
+    i++;
+  };
+
+  const parseString = () => {
+    expect('"');
+    for (;;) {
+      const char = text[i];
+      if (char === undefined || char < ' ') fail();
+      i++;
+      if (char === '"') return;
+      if (char === '\\') {
+        if (text[i] === 'u') {
+          i++;
+          for (let j = 0; j < 4; j++) {
+            if (!/[0-9a-fA-F]/.test(text[i])) fail();
+            i++;
+          }
+        } else {
+          if (text[i] === undefined || !'"\\/bfnrt'.includes(text[i])) fail();
+          i++;
+        }
+      }
+    }
+  };
+
+  const parseNumber = () => {
+    numberRegExp.lastIndex = i;
+    const match = numberRegExp.exec(text);
+    if (!match) fail();
+    i += match[0].length;
+  };
+
+  /** @param {string} word */
+  const parseLiteral = word => {
+    for (const char of word) expect(char);
+  };
+
+  /**
+   * @param {string} close
+   * @param {() => void} parseEntry
+   */
+  const parseList = (close, parseEntry) => {
+    i++;
+    skipWhitespace();
+    if (text[i] === close) {
+      i++;
+      return;
+    }
+    for (;;) {
+      skipWhitespace();
+      parseEntry();
+      if (text[i] !== ',') break;
+      i++;
+    }
+    expect(close);
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const char = text[i];
+    if (char === '{') {
+      parseList('}', () => {
+        parseString();
+        skipWhitespace();
+        expect(':');
+        parseValue();
+      });
+    } else if (char === '[') {
+      parseList(']', parseValue);
+    } else if (char === '"') {
+      parseString();
+    } else if (char === 't') {
+      parseLiteral('true');
+    } else if (char === 'f') {
+      parseLiteral('false');
+    } else if (char === 'n') {
+      parseLiteral('null');
+    } else {
+      parseNumber();
+    }
+    skipWhitespace();
+  };
+
+  try {
+    parseValue();
+    if (i < text.length) fail();
+    return -1;
+  } catch (e) {
+    if (e === SYNTAX_ERROR) return i;
+    throw e;
+  }
+};
+
+/**
+ * Parse a JSON file, reporting where in the file any syntax error is
+ *
+ * @param {string} text The contents of the file
+ * @param {string} file The path of the file, for error messages
+ * @returns {any}
+ * @throws {SyntaxError} If the text is not valid JSON
+ */
+const parseJSON = (text, file) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const index = findSyntaxError(text);
+    const lines = text.slice(0, Math.max(index, 0)).split(/\r\n|\r|\n/);
+    throw new SyntaxError(
+      `${file} (Ln ${lines.length}, Col ${lines[lines.length - 1].length +
+        1}): ${e.message}`,
+    );
+  }
+};
+
+module.exports = { findSyntaxError, parseJSON };
@@ -0,0 +1,166 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { closest, distance } = require('./closest.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').Identifier} Identifier
+ */
+
+/**
+ * Split a dotted feature identifier (e.g. "api.fetch.init_referrerPolicy")
+ * into its segments; the empty string refers to the root of the data
+ *
+ * @param {string} [path] The dotted identifier
+ * @returns {string[]}
+ */
+const splitPath = path => {
+  if (path === undefined || path === '') {
+    return [];
+  }
+  if (typeof path !== 'string') {
+    throw new TypeError(`Feature identifier must be a string, got ${path}`);
+  }
+  return path.split('.');
+};
+
+/**
+ * Get the names of the identifiers nested directly below an identifier.
+ * At the root, the `browsers` namespace is not a feature and is skipped.
+ *
+ * @param {Identifier|CompatData} identifier The identifier to list
+ * @param {boolean} isRoot Whether the identifier is the root of the data
+ * @returns {string[]}
+ */
+const subfeatures = (identifier, isRoot) =>
+  Object.keys(identifier).filter(
+    key => key !== '__compat' && !(isRoot && key === 'browsers'),
+  );
+
+/**
+ * Walk down the data along a list of segments, stopping at the first
+ * segment which does not exist
+ *
+ * @param {CompatData|Identifier} identifier The identifier to start from
+ * @param {string[]} segments The identifier segments
+ * @param {boolean} [isRoot] Whether the identifier is the root of the data
+ * @returns {{identifier: Identifier, depth: number}} The deepest identifier found and the number of segments it took to reach it
+ */
+const resolve = (identifier, segments, isRoot = true) => {
+  let depth = 0;
+
+  for (; depth < segments.length; depth++) {
+    const keys = subfeatures(identifier, isRoot && depth === 0);
+    if (!keys.includes(segments[depth])) {
+      break;
+    }
+    identifier = identifier[segments[depth]];
+  }
+
+  return { identifier, depth };
+};
+
+/**
+ * Build the existing identifier closest to a list of segments, replacing
+ * every segment which does not exist with the sibling with the closest name,
+ * and of equally close siblings the one under which most of the remaining
+ * segments exist
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string[]} segments The identifier segments
+ * @returns {string} The closest existing dotted identifier
+ */
+const suggest = (data, segments) => {
+  const corrected = [];
+  let identifier = data;
+
+  for (let i = 0; i < segments.length; i++) {
+    let keys = subfeatures(identifier, i === 0);
+
+    if (!keys.includes(segments[i])) {
+      const distances = keys.map(key => distance(segments[i], key));
+      const minDistance = Math.min(...distances);
+      keys = keys.filter((key, index) => distances[index] === minDistance);
+
+      const rest = segments.slice(i + 1);
+      const depths = keys.map(
+        key => resolve(identifier[key], rest, false).depth,
+      );
+      const maxDepth = Math.max(0, ...depths);
+      keys = keys.filter((key, index) => depths[index] === maxDepth);
+    }
+
+    const key = keys.includes(segments[i])
+      ? segments[i]
+      : closest(segments[i], keys);
+    if (key === undefined) {
+      break;
+    }
+    corrected.push(key);
+    identifier = identifier[key];
+  }
+
+  return corrected.join('.');
+};
+
+/**
+ * Get the identifier at a dotted path
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string} [path] The dotted identifier (e.g. "api.fetch.init_referrerPolicy")
+ * @returns {Identifier}
+ * @throws {Error} If any segment of the path does not exist
+ */
+const lookup = (data, path) => {
+  const segments = splitPath(path);
+  const { identifier, depth } = resolve(data, segments);
+
+  if (depth < segments.length) {
+    const parent = segments.slice(0, depth).join('.');
+    throw new Error(
+      `"${path}" does not exist: there is no "${segments[depth]}" in ${
+        parent ? `"${parent}"` : 'the top level'
+      }. Did you mean "${suggest(data, segments)}"?`,
+    );
+  }
+
+  return identifier;
+};
+
+/**
+ * Get the compat statement of a feature
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string} path The dotted identifier (e.g. "api.fetch.init_referrerPolicy")
+ * @returns {CompatStatement|undefined} The `__compat` block, or undefined if the identifier only groups other features
+ * @throws {Error} If any segment of the path does not exist
+ */
+const get = (data, path) => lookup(data, path).__compat;
+
+/**
+ * Check whether an identifier exists
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string} path The dotted identifier (e.g. "api.fetch.init_referrerPolicy")
+ * @returns {boolean}
+ */
+const has = (data, path) => {
+  const segments = splitPath(path);
+  return resolve(data, segments).depth === segments.length;
+};
+
+/**
+ * List the subfeatures of an identifier
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string} [path] The dotted identifier, or nothing to list the categories
+ * @returns {string[]} The names of the subfeatures
+ * @throws {Error} If any segment of the path does not exist
+ */
+const children = (data, path) =>
+  subfeatures(lookup(data, path), splitPath(path).length === 0);
+
+module.exports = { lookup, get, has, children };
@@ -0,0 +1,198 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { closest } = require('./closest.js');
+
+/**
+ * @typedef {object} CategoryInfo
+ * @property {boolean} features Whether the category contains features, rather than other data
+ * @property {boolean} web Whether the features of the category are features of the web platform
+ * @property {string[]} browsers The browser groups which the support data may list
+ * @property {string[]} required The browser groups which the support data must list
+ * @property {string[]} realValues The browser groups which may not use `true` or `null` as a version
+ *
+ * @typedef {object} CategoryBrowsers
+ * @property {string[]} browsers The browsers which the support data may list
+ * @property {string[]} required The browsers which the support data must list
+ * @property {string[]} realValues The browsers which may not use `true` or `null` as a version
+ */
+
+/**
+ * The groups of browsers which the categories refer to. Every browser in
+ * `browsers/` should be in `desktop`, `mobile` or `server`.
+ *
+ * @type {Record<string, string[]>}
+ */
+const BROWSER_GROUPS = {
+  desktop: ['chrome', 'edge', 'firefox', 'ie', 'opera', 'safari'],
+  mobile: [
+    'chrome_android',
+    'firefox_android',
+    'opera_android',
+    'qq_android',
+    'safari_ios',
+    'samsunginternet_android',
+    'uc_android',
+    'uc_chinese_android',
+    'webview_android',
+  ],
+  server: ['nodejs'],
+  'webextensions-desktop': ['chrome', 'edge', 'firefox', 'opera', 'safari'],
+  'webextensions-mobile': ['firefox_android'],
+  // The "main eight" browsers which statistics are reported for by default
+  main: [
+    'chrome',
+    'chrome_android',
+    'edge',
+    'firefox',
+    'ie',
+    'safari',
+    'safari_ios',
+    'webview_android',
+  ],
+  // The browsers whose data has been researched thoroughly enough that some
+  // categories can require real versions for them
+  researched: [
+    'chrome',
+    'chrome_android',
+    'edge',
+    'firefox',
+    'firefox_android',
+    'ie',
+    'opera',
+    'opera_android',
+    'safari',
+    'safari_ios',
+    'samsunginternet_android',
+    'webview_android',
+  ],
+};
+
+/**
+ * @param {Partial<CategoryInfo>} info
+ * @returns {CategoryInfo}
+ */
+const category = info =>
+  Object.assign(
+    {
+      features: true,
+      web: true,
+      browsers: ['desktop', 'mobile'],
+      required: ['desktop'],
+      realValues: [],
+    },
+    info,
+  );
+
+/**
+ * The categories of the data, which are also the names of the directories
+ * containing them. Adding a category only takes adding it here.
+ *
+ * @type {Record<string, CategoryInfo>}
+ */
+const REGISTRY = {
+  api: category({ browsers: ['desktop', 'mobile', 'server'] }),
+  browsers: category({
+    features: false,
+    web: false,
+    browsers: [],
+    required: [],
+  }),
+  css: category({ realValues: ['researched'] }),
+  html: category({}),
+  http: category({}),
+  javascript: category({
+    browsers: ['desktop', 'mobile', 'server'],
+    realValues: ['researched'],
+  }),
+  mathml: category({ realValues: ['researched'] }),
+  svg: category({}),
+  webdriver: category({ realValues: ['researched'] }),
+  webextensions: category({
+    web: false,
+    browsers: ['webextensions-desktop', 'webextensions-mobile'],
+    required: ['webextensions-desktop'],
+  }),
+  xpath: category({}),
+  xslt: category({}),
+};
+
+/** The names of all categories. */
+const CATEGORIES = Object.keys(REGISTRY);
+
+/** The names of the categories containing features (all but `browsers`). */
+const FEATURE_CATEGORIES = CATEGORIES.filter(name => REGISTRY[name].features);
+
+/** The names of the categories containing web platform features. */
+const WEB_CATEGORIES = FEATURE_CATEGORIES.filter(name => REGISTRY[name].web);
+
+/**
+ * Get the browsers of some browser groups, in alphabetical order
+ *
+ * @param {string[]} groups The names of the groups
+ * @returns {string[]}
+ */
+const getBrowsers = groups =>
+  Array.from(
+    new Set(
+      groups.reduce((browsers, group) => {
+        if (!BROWSER_GROUPS[group]) {
+          throw new Error(
+            `"${group}" is not a browser group. Did you mean "${closest(
+              group,
+              Object.keys(BROWSER_GROUPS),
+            )}"?`,
+          );
+        }
+        return browsers.concat(BROWSER_GROUPS[group]);
+      }, []),
+    ),
+  ).sort();
+
+/**
+ * Get the browsers which the support data of a category may and must list
+ *
+ * @param {string} name The name of the category (e.g. "api")
+ * @returns {CategoryBrowsers}
+ * @throws {Error} If the category does not exist
+ */
+const getCategoryBrowsers = name => {
+  if (!Object.prototype.hasOwnProperty.call(REGISTRY, name)) {
+    throw new Error(
+      `"${name}" is not a category. Did you mean "${closest(
+        name,
+        CATEGORIES,
+      )}"?`,
+    );
+  }
+
+  const info = REGISTRY[name];
+  return {
+    browsers: getBrowsers(info.browsers),
+    required: getBrowsers(info.required),
+    realValues: getBrowsers(info.realValues),
+  };
+};
+
+/**
+ * Get the categories whose support data may list a browser
+ *
+ * @param {string} browser The browser identifier (e.g. "opera_android")
+ * @returns {string[]}
+ */
+const getCategoriesOfBrowser = browser =>
+  FEATURE_CATEGORIES.filter(name =>
+    getBrowsers(REGISTRY[name].browsers).includes(browser),
+  );
+
+module.exports = {
+  BROWSER_GROUPS,
+  REGISTRY,
+  CATEGORIES,
+  FEATURE_CATEGORIES,
+  WEB_CATEGORIES,
+  getBrowsers,
+  getCategoryBrowsers,
+  getCategoriesOfBrowser,
+};
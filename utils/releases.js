@@ -0,0 +1,242 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { closest } = require('./closest.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').ReleaseStatement} ReleaseStatement
+ *
+ * @typedef {ReleaseStatement & {version: string}} Release
+ *
+ * @typedef {object} EngineRelease
+ * @property {string} engine The name of the engine (e.g. "Blink")
+ * @property {string} engine_version The version of the engine (e.g. "80")
+ */
+
+/** The statuses of releases which haven't been released yet */
+const UPCOMING_STATUSES = ['beta', 'nightly', 'planned'];
+
+/** @type {WeakMap<object, string[]>} */
+const releaseOrderCache = new WeakMap();
+
+/**
+ * Compare two dotted release numbers (e.g. "4.4.3" and "37") numerically
+ *
+ * @param {string} a The first release number
+ * @param {string} b The second release number
+ * @returns {number} A negative number, zero or a positive number if `a` is before, the same as or after `b`
+ */
+const compareReleaseNumbers = (a, b) => {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Get the releases of a browser, oldest first
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @returns {string[]}
+ * @throws {Error} If the browser does not exist
+ */
+const getReleaseOrder = (data, browser) => {
+  if (!Object.prototype.hasOwnProperty.call(data.browsers, browser)) {
+    throw new Error(
+      `"${browser}" is not a known browser. Did you mean "${closest(
+        browser,
+        Object.keys(data.browsers),
+      )}"?`,
+    );
+  }
+
+  const releases = data.browsers[browser].releases;
+  if (!releaseOrderCache.has(releases)) {
+    releaseOrderCache.set(
+      releases,
+      Object.keys(releases).sort(compareReleaseNumbers),
+    );
+  }
+  return releaseOrderCache.get(releases);
+};
+
+/**
+ * Get the position of a release in the release order of a browser
+ *
+ * @param {string[]} order The releases of the browser, oldest first
+ * @param {string} browser The browser identifier, for error messages
+ * @param {string} version The release number
+ * @returns {number}
+ * @throws {Error} If the release does not exist
+ */
+const getReleaseIndex = (order, browser, version) => {
+  const index = order.indexOf(version);
+  if (index === -1) {
+    throw new Error(
+      `"${version}" is not a known release of ${browser}. Did you mean "${closest(
+        version,
+        order,
+      )}"?`,
+    );
+  }
+  return index;
+};
+
+/**
+ * Get the current release of a browser, which is the newest release marked
+ * as current (or else the newest release)
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @returns {string}
+ * @throws {Error} If the browser does not exist
+ */
+const getCurrentRelease = (data, browser) => {
+  const order = getReleaseOrder(data, browser);
+  const releases = data.browsers[browser].releases;
+  const current = order.filter(r => releases[r].status === 'current');
+  return current.length ? current[current.length - 1] : order[order.length - 1];
+};
+
+/**
+ * Get the releases of a browser with their version number, oldest first
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @returns {Release[]}
+ * @throws {Error} If the browser does not exist
+ */
+const getReleases = (data, browser) =>
+  getReleaseOrder(data, browser).map(version =>
+    Object.assign({ version }, data.browsers[browser].releases[version]),
+  );
+
+/**
+ * Get the release of a browser which was the latest one on a date, which is
+ * the newest release with a release date up to that date
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {Date|string} date The date, as a `Date` or formatted as `YYYY-MM-DD`
+ * @returns {string|null} The release number, or null if the browser had no release yet
+ * @throws {Error} If the browser does not exist or the date is invalid
+ */
+const getReleaseAt = (data, browser, date) => {
+  const day = typeof date === 'string' ? date : date.toISOString();
+  if (!/^\d{4}-\d{2}-\d{2}/.test(day)) {
+    throw new Error(`"${date}" is not a date; use the form "YYYY-MM-DD"`);
+  }
+
+  const order = getReleaseOrder(data, browser);
+  const releases = data.browsers[browser].releases;
+  const released = order.filter(
+    r =>
+      releases[r].release_date && releases[r].release_date <= day.slice(0, 10),
+  );
+  return released.length ? released[released.length - 1] : null;
+};
+
+/**
+ * Get the releases of a browser which are in beta, nightly or planned
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @returns {string[]} The release numbers, oldest first
+ * @throws {Error} If the browser does not exist
+ */
+const getUpcomingReleases = (data, browser) => {
+  const order = getReleaseOrder(data, browser);
+  const releases = data.browsers[browser].releases;
+  return order.filter(r => UPCOMING_STATUSES.includes(releases[r].status));
+};
+
+/**
+ * Get the engine a release of a browser is built on
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {string} version The release number (e.g. "80")
+ * @returns {EngineRelease|null} The engine and its version, or null if they aren't known
+ * @throws {Error} If the browser or release does not exist
+ */
+const getEngine = (data, browser, version) => {
+  const order = getReleaseOrder(data, browser);
+  const release =
+    data.browsers[browser].releases[
+      order[getReleaseIndex(order, browser, String(version))]
+    ];
+
+  if (!release.engine || !release.engine_version) {
+    return null;
+  }
+  return { engine: release.engine, engine_version: release.engine_version };
+};
+
+/**
+ * Get the first release of a browser built on at least a version of an engine
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "opera")
+ * @param {string} engine The name of the engine (e.g. "Blink")
+ * @param {string} engineVersion The version of the engine (e.g. "80")
+ * @returns {string|null} The release number, or null if no release is built on that engine version
+ * @throws {Error} If the browser does not exist
+ */
+const getReleaseForEngine = (data, browser, engine, engineVersion) => {
+  const order = getReleaseOrder(data, browser);
+  const releases = data.browsers[browser].releases;
+  return (
+    order.find(
+      r =>
+        releases[r].engine === engine &&
+        releases[r].engine_version !== undefined &&
+        compareReleaseNumbers(releases[r].engine_version, engineVersion) >= 0,
+    ) || null
+  );
+};
+
+/**
+ * Map a release of a browser to the first release of another browser which
+ * is built on the same engine version (e.g. Chrome 80 → Blink 80 → Opera 67)
+ *
+ * @param {CompatData} data The compat data containing the browsers
+ * @param {string} browser The browser identifier of the release (e.g. "chrome")
+ * @param {string} version The release number (e.g. "80")
+ * @param {string} otherBrowser The browser identifier to map to (e.g. "opera")
+ * @returns {string|null} The release number, or null if the engine version of the release isn't known or the other browser has no release built on it
+ * @throws {Error} If a browser or the release does not exist
+ */
+const mapRelease = (data, browser, version, otherBrowser) => {
+  const engine = getEngine(data, browser, version);
+  // Check that the other browser exists even if the engine isn't known
+  getReleaseOrder(data, otherBrowser);
+
+  return engine
+    ? getReleaseForEngine(
+        data,
+        otherBrowser,
+        engine.engine,
+        engine.engine_version,
+      )
+    : null;
+};
+
+module.exports = {
+  compareReleaseNumbers,
+  getReleaseOrder,
+  getReleaseIndex,
+  getReleases,
+  getCurrentRelease,
+  getReleaseAt,
+  getUpcomingReleases,
+  getEngine,
+  getReleaseForEngine,
+  mapRelease,
+};
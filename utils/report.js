@@ -0,0 +1,153 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const query = require('./query.js');
+const {
+  getReleaseOrder,
+  getReleaseIndex,
+  getCurrentRelease,
+} = require('./releases.js');
+const { resolveCompatSupport } = require('./support.js');
+const { walk } = require('./walk.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('./support.js').SupportVerdict} SupportVerdict
+ *
+ * @typedef {object} Target
+ * @property {string} browser The browser identifier (e.g. "chrome")
+ * @property {string} version The oldest release to support (e.g. "80")
+ *
+ * @typedef {'unsupported' | 'unknown' | 'flag' | 'prefix' | 'alternative_name'} IssueType
+ *
+ * @typedef {object} Issue
+ * @property {string} browser The browser identifier of the target
+ * @property {string} version The first release of the target with the issue
+ * @property {IssueType} issue What is wrong with the support in that release
+ * @property {SupportVerdict} verdict The resolved support in that release
+ *
+ * @typedef {object} ReportEntry
+ * @property {string} path The dotted identifier of the feature
+ * @property {Issue[]} issues The issues of the feature, one per target at most
+ */
+
+/**
+ * The issue types, from the most to the least severe
+ *
+ * @type {IssueType[]}
+ */
+const ISSUE_TYPES = [
+  'unsupported',
+  'unknown',
+  'flag',
+  'prefix',
+  'alternative_name',
+];
+
+/**
+ * Parse a target list such as "chrome >= 80, firefox ≥ 78, safari_ios 13"
+ *
+ * @param {string|string[]} targets The targets, separated by commas if a string
+ * @returns {Target[]}
+ * @throws {Error} If a target can't be parsed
+ */
+const parseTargets = targets => {
+  const list = Array.isArray(targets) ? targets : targets.split(',');
+
+  return list
+    .map(target => target.trim())
+    .filter(target => target)
+    .map(target => {
+      const match = target.match(/^(\w+)\s*(?:>=|≥)?\s*([\d.]+)$/);
+      if (!match) {
+        throw new Error(
+          `"${target}" is not a valid target; use the form "<browser> >= <version>"`,
+        );
+      }
+      return { browser: match[1], version: match[2] };
+    });
+};
+
+/**
+ * Find the issue of a verdict, if it has one
+ *
+ * @param {SupportVerdict} verdict The resolved support
+ * @returns {IssueType|null}
+ */
+const getIssue = verdict => {
+  if (verdict.support !== 'supported') return verdict.support;
+  if (verdict.flags) return 'flag';
+  if (verdict.prefix) return 'prefix';
+  if (verdict.alternative_name) return 'alternative_name';
+  return null;
+};
+
+/**
+ * Find the most severe issue of a feature over the releases of a target
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {CompatStatement} compat The `__compat` block of the feature
+ * @param {Target} target The target
+ * @param {string[]} releases The releases of the target to check
+ * @returns {Issue|null}
+ */
+const checkTarget = (data, compat, target, releases) => {
+  let worst = null;
+
+  for (const version of releases) {
+    const verdict = resolveCompatSupport(data, compat, target.browser, version);
+    const issue = getIssue(verdict);
+    if (
+      issue &&
+      (!worst || ISSUE_TYPES.indexOf(issue) < ISSUE_TYPES.indexOf(worst.issue))
+    ) {
+      worst = { browser: target.browser, version, issue, verdict };
+    }
+  }
+
+  return worst;
+};
+
+/**
+ * Report the features which are unsupported, unknown, only supported behind
+ * a flag or only supported with a prefix or alternative name in at least
+ * one release of a target, from its oldest release up to its current one
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string|string[]|Target[]} targets The targets (e.g. "chrome >= 80, firefox >= 78")
+ * @param {string} [path] The category or identifier to check, or nothing for all categories
+ * @returns {ReportEntry[]}
+ * @throws {Error} If a target, browser, release or identifier does not exist
+ */
+const compatReport = (data, targets, path) => {
+  const parsedTargets =
+    typeof targets === 'string' || typeof targets[0] === 'string'
+      ? parseTargets(targets)
+      : targets;
+
+  const releases = parsedTargets.map(({ browser, version }) => {
+    const order = getReleaseOrder(data, browser);
+    const first = getReleaseIndex(order, browser, version);
+    const current = order.indexOf(getCurrentRelease(data, browser));
+    return order.slice(first, Math.max(first, current) + 1);
+  });
+
+  /** @type {ReportEntry[]} */
+  const report = [];
+  for (const { path: featurePath, compat } of walk(query.lookup(data, path), {
+    path: path || '',
+  })) {
+    const issues = parsedTargets
+      .map((target, i) => checkTarget(data, compat, target, releases[i]))
+      .filter(issue => issue);
+    if (issues.length) {
+      report.push({ path: featurePath, issues });
+    }
+  }
+
+  return report;
+};
+
+module.exports = { ISSUE_TYPES, parseTargets, compatReport };
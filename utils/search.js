@@ -0,0 +1,297 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { getAlias } = require('./aliases.js');
+const { closest, levenshtein } = require('./closest.js');
+const { walk } = require('./walk.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ *
+ * @typedef {'identifier' | 'name' | 'mdn_url' | 'description' | 'notes'} SearchField
+ *
+ * @typedef {object} Term
+ * @property {SearchField} field Where the term comes from
+ * @property {string} text The term as it is in the data
+ * @property {string} lowerCase The term in lower case, for matching
+ * @property {number} weight How much a match of the term counts
+ * @property {boolean} isName Whether the term is a single name, which can match exactly, or text, which can only contain a word
+ *
+ * @typedef {object} Document
+ * @property {string} path The dotted identifier of the feature
+ * @property {Term[]} terms The indexed terms of the feature
+ *
+ * @typedef {object} SearchResult
+ * @property {string} path The dotted identifier of the feature
+ * @property {number} score How well the feature matches; higher is better
+ * @property {SearchField[]} fields The fields which matched
+ * @property {boolean} fuzzy Whether the feature only matches a misspelling of the query
+ *
+ * @typedef {object} SearchOptions
+ * @property {number} [limit] The maximum number of results (20 by default)
+ * @property {string[]} [categories] Only search these categories
+ * @property {boolean} [fuzzy] Whether to look for misspellings when nothing matches (true by default)
+ */
+
+/**
+ * How much a match in each field counts. The name of a feature, including
+ * its prefixed and alternative names, counts most.
+ *
+ * @type {Record<SearchField, number>}
+ */
+const WEIGHTS = {
+  name: 10,
+  mdn_url: 6,
+  description: 4,
+  identifier: 3,
+  notes: 1,
+};
+
+/** @type {WeakMap<CompatData, Document[]>} */
+const indexes = new WeakMap();
+
+/**
+ * Collect the terms to index for a feature
+ *
+ * @param {string} path The dotted identifier of the feature
+ * @param {CompatStatement} compat The compat statement of the feature
+ * @returns {Term[]}
+ */
+const getTerms = (path, compat) => {
+  const segments = path.split('.');
+  const name = segments[segments.length - 1];
+  /** @type {Term[]} */
+  const terms = [];
+
+  /**
+   * @param {SearchField} field
+   * @param {string} text
+   * @param {boolean} isName
+   */
+  const add = (field, text, isName) => {
+    if (!terms.some(term => term.field === field && term.text === text)) {
+      terms.push({
+        field,
+        text,
+        lowerCase: text.toLowerCase(),
+        weight: WEIGHTS[field],
+        isName,
+      });
+    }
+  };
+
+  add('name', name, true);
+  segments.slice(0, -1).forEach(segment => add('identifier', segment, true));
+
+  for (const browser of Object.keys(compat.support)) {
+    for (const statement of [].concat(compat.support[browser])) {
+      const alias = getAlias(path, statement);
+      if (alias) {
+        add('name', alias, true);
+      }
+      if (statement.notes) {
+        []
+          .concat(statement.notes)
+          .forEach(note => add('notes', note.replace(/<[^>]*>/g, ''), false));
+      }
+    }
+  }
+
+  if (compat.description) {
+    add('description', compat.description.replace(/<[^>]*>/g, ''), false);
+  }
+
+  if (compat.mdn_url) {
+    const page = decodeURIComponent(compat.mdn_url.replace(/^.*?\/docs\//, ''));
+    add('mdn_url', page.split('/').pop(), true);
+    add('mdn_url', page, false);
+  }
+
+  return terms;
+};
+
+/**
+ * Get the search index of the compat data, building it on first use
+ *
+ * @param {CompatData} data The compat data
+ * @returns {Document[]}
+ */
+const getIndex = data => {
+  if (!indexes.has(data)) {
+    indexes.set(
+      data,
+      Array.from(walk(data), ({ path, compat }) => ({
+        path,
+        terms: getTerms(path, compat),
+      })),
+    );
+  }
+  return indexes.get(data);
+};
+
+/**
+ * Score how well a term matches a word of the query: an exact match of a
+ * name counts three times, the start of a name twice, and any other
+ * occurrence once
+ *
+ * @param {Term} term The indexed term
+ * @param {string} word The word of the query, in lower case
+ * @returns {number}
+ */
+const scoreTerm = (term, word) => {
+  if (term.isName && term.lowerCase === word) return term.weight * 3;
+  if (term.isName && term.lowerCase.startsWith(word)) return term.weight * 2;
+  return term.lowerCase.includes(word) ? term.weight : 0;
+};
+
+/**
+ * Score how closely a name is spelled like a word of the query, allowing
+ * about one typo every four letters
+ *
+ * @param {Term} term The indexed term
+ * @param {string} word The word of the query, in lower case
+ * @returns {number}
+ */
+const scoreFuzzyTerm = (term, word) => {
+  const maxDistance = Math.max(1, Math.floor(word.length / 4));
+  if (
+    !term.isName ||
+    Math.abs(term.lowerCase.length - word.length) > maxDistance
+  ) {
+    return 0;
+  }
+  const distance = levenshtein(term.lowerCase, word);
+  return distance <= maxDistance ? term.weight / (1 + distance) : 0;
+};
+
+/**
+ * Match a document against all words of a query
+ *
+ * @param {Document} doc The indexed feature
+ * @param {string[]} words The words of the query, in lower case
+ * @param {(term: Term, word: string) => number} score How to score a term
+ * @returns {{score: number, fields: SearchField[]}|null} The match, or null if a word doesn't match
+ */
+const matchDocument = (doc, words, score) => {
+  let total = 0;
+  const fields = [];
+
+  for (const word of words) {
+    let best = 0;
+    for (const term of doc.terms) {
+      const termScore = score(term, word);
+      if (termScore > 0 && !fields.includes(term.field)) {
+        fields.push(term.field);
+      }
+      best = Math.max(best, termScore);
+    }
+    if (!best) return null;
+    total += best;
+  }
+
+  return { score: total, fields };
+};
+
+/**
+ * Search features by name, prefixed or alternative name, identifier,
+ * description, notes and MDN URL, best matches first.
+ *
+ * Every word of the query must match. If no feature matches, features
+ * whose names are spelled similarly are returned instead, marked `fuzzy`.
+ *
+ * @param {CompatData} data The compat data
+ * @param {string} query The words to search for (e.g. "-moz-appearance")
+ * @param {SearchOptions} [options] Options
+ * @returns {SearchResult[]}
+ */
+const search = (data, query, { limit = 20, categories, fuzzy = true } = {}) => {
+  const words = query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(word => word);
+  if (!words.length) {
+    return [];
+  }
+
+  const docs = getIndex(data).filter(
+    doc => !categories || categories.includes(doc.path.split('.')[0]),
+  );
+
+  // The words may also be parts of a single name, such as "referrer policy"
+  // for "referrerPolicy" or "Referrer-Policy", which then counts as a match
+  // of every word
+  const phrases = [words];
+  if (words.length > 1) {
+    phrases.push([words.join('')], [words.join('-')]);
+  }
+
+  /**
+   * @param {(term: Term, word: string) => number} score
+   * @param {boolean} isFuzzy
+   * @returns {SearchResult[]}
+   */
+  const find = (score, isFuzzy) => {
+    const results = [];
+    for (const doc of docs) {
+      let best = null;
+      for (const phrase of phrases) {
+        const match = matchDocument(doc, phrase, score);
+        const phraseScore =
+          match && (match.score * words.length) / phrase.length;
+        if (match && (!best || phraseScore > best.score)) {
+          best = {
+            path: doc.path,
+            score: phraseScore,
+            fields: match.fields,
+            fuzzy: isFuzzy,
+          };
+        }
+      }
+      if (best) results.push(best);
+    }
+    return results;
+  };
+
+  let results = find(scoreTerm, false);
+  if (!results.length && fuzzy) {
+    results = find(scoreFuzzyTerm, true);
+  }
+
+  // Shallower features first among equal scores, since they are usually
+  // the ones being looked for rather than their subfeatures
+  return results
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.path.split('.').length - b.path.split('.').length ||
+        (a.path < b.path ? -1 : a.path > b.path ? 1 : 0),
+    )
+    .slice(0, limit);
+};
+
+/**
+ * Suggest the indexed name closest to a query, for a "did you mean" hint
+ * when a search has no results
+ *
+ * @param {CompatData} data The compat data
+ * @param {string} query The query which had no results
+ * @param {{categories?: string[]}} [options] Only suggest names from these categories
+ * @returns {string|null}
+ */
+const suggest = (data, query, { categories } = {}) => {
+  const names = new Set();
+  for (const doc of getIndex(data)) {
+    if (categories && !categories.includes(doc.path.split('.')[0])) {
+      continue;
+    }
+    for (const term of doc.terms) {
+      if (term.isName) names.add(term.text);
+    }
+  }
+  const suggestion = closest(query.trim(), Array.from(names));
+  return suggestion === undefined ? null : suggestion;
+};
+
+module.exports = { search, suggest };
@@ -0,0 +1,182 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT_DIR, load } = require('./load.js');
+const { CATEGORIES } = require('./registry.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ *
+ * @typedef {object} SnapshotOptions
+ * @property {string[]} [categories] The categories to load (all by default)
+ * @property {string} [cwd] The git repository to resolve refs in (this repository by default)
+ * @property {boolean} [strict] Whether to throw when a file is not valid JSON or redefines what another file defines
+ */
+
+/**
+ * Run git and return its output
+ *
+ * @param {string[]} args The arguments
+ * @param {string} cwd The repository
+ * @param {string|Buffer} [input] What to write to the standard input
+ * @returns {Buffer}
+ */
+const git = (args, cwd, input) =>
+  execFileSync('git', args, {
+    cwd,
+    input,
+    maxBuffer: 1024 * 1024 * 1024,
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+
+/**
+ * Remove a directory and everything in it
+ *
+ * @param {string} dir The directory
+ */
+const removeDir = dir => {
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDir(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  }
+  fs.rmdirSync(dir);
+};
+
+/**
+ * Create a directory and its parents if they don't exist
+ *
+ * @param {string} dir The directory
+ */
+const makeDir = dir => {
+  if (!fs.existsSync(dir)) {
+    makeDir(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+};
+
+/**
+ * Load the data of a checkout of this repository
+ *
+ * @param {string} dir The root of the checkout
+ * @param {SnapshotOptions} options
+ * @returns {CompatData}
+ */
+const loadCheckout = (dir, { categories = CATEGORIES, strict = false }) =>
+  load(
+    categories
+      .map(category => path.join(dir, category))
+      .filter(categoryDir => fs.existsSync(categoryDir)),
+    { strict },
+  );
+
+/**
+ * Load a bundle written by `npm run build`, keeping only some categories
+ *
+ * @param {string} file The bundle
+ * @param {SnapshotOptions} options
+ * @returns {CompatData}
+ */
+const loadBundle = (file, { categories = CATEGORIES }) => {
+  const bundle = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return categories
+    .filter(category => bundle[category])
+    .reduce((data, category) => {
+      data[category] = bundle[category];
+      return data;
+    }, {});
+};
+
+/**
+ * Load the data of a commit, by writing its data files to a temporary
+ * directory with a single `git cat-file` and loading that
+ *
+ * @param {string} ref The git ref (e.g. "v1.1.0" or "HEAD~3")
+ * @param {SnapshotOptions} options
+ * @returns {CompatData}
+ * @throws {Error} If the ref doesn't exist
+ */
+const loadRef = (ref, options) => {
+  const { categories = CATEGORIES, cwd = ROOT_DIR } = options;
+
+  let commit;
+  try {
+    commit = git(['rev-parse', '--verify', `${ref}^{commit}`], cwd)
+      .toString()
+      .trim();
+  } catch (e) {
+    throw new Error(
+      `"${ref}" is neither a directory, a bundle file nor a git ref`,
+    );
+  }
+
+  const files = git(
+    ['ls-tree', '-r', '--name-only', commit, '--', ...categories],
+    cwd,
+  )
+    .toString()
+    .split('\n')
+    .filter(file => file.endsWith('.json'));
+  const output = git(
+    ['cat-file', '--batch'],
+    cwd,
+    files.map(file => `${commit}:${file}\n`).join(''),
+  );
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcd-snapshot-'));
+  try {
+    // Each file is output as "<hash> blob <size>\n<contents>\n"
+    let offset = 0;
+    for (const file of files) {
+      const headerEnd = output.indexOf('\n', offset);
+      const size = Number(
+        output
+          .toString('utf-8', offset, headerEnd)
+          .split(' ')
+          .pop(),
+      );
+      const target = path.join(dir, file);
+      makeDir(path.dirname(target));
+      fs.writeFileSync(
+        target,
+        output.slice(headerEnd + 1, headerEnd + 1 + size),
+      );
+      offset = headerEnd + 1 + size + 1;
+    }
+
+    return loadCheckout(dir, options);
+  } finally {
+    removeDir(dir);
+  }
+};
+
+/**
+ * Load the compat data of a snapshot through the loader: a checkout of this
+ * repository (a directory), a bundle written by `npm run build` (a JSON
+ * file such as `build/data.json`), or a git ref of this repository (such as
+ * a tag or a commit)
+ *
+ * @param {string} source The directory, file or git ref
+ * @param {SnapshotOptions} [options]
+ * @returns {CompatData}
+ * @throws {Error} If the source doesn't exist
+ */
+const loadSnapshot = (source, options = {}) => {
+  const file = path.resolve(source);
+  if (fs.existsSync(file)) {
+    return fs.statSync(file).isDirectory()
+      ? loadCheckout(file, options)
+      : loadBundle(file, options);
+  }
+  return loadRef(source, options);
+};
+
+module.exports = { loadSnapshot, removeDir };
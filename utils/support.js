@@ -0,0 +1,136 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const query = require('./query.js');
+const { getReleaseOrder, getReleaseIndex } = require('./releases.js');
+const { isWithinRange } = require('./versions.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').SimpleSupportStatement} SimpleSupportStatement
+ *
+ * @typedef {'supported' | 'unsupported' | 'unknown'} SupportValue
+ *
+ * @typedef {object} SupportVerdict
+ * @property {SupportValue} support Whether the feature is supported in the release
+ * @property {string|null} prefix The prefix needed to use the feature, if any
+ * @property {string|null} alternative_name The name needed to use the feature, if it differs
+ * @property {SimpleSupportStatement['flags']|null} flags The flags needed to enable the feature, if any
+ * @property {boolean} partial_implementation Whether the implementation diverges from the specification
+ * @property {SimpleSupportStatement|null} statement The support statement the verdict came from, or null if the browser has no data
+ */
+
+/**
+ * Decide whether a single support statement covers a release.
+ *
+ * Ranged values (`"≤37"`) only say that the change happened in that release
+ * or earlier, so releases before it are unknown. Likewise, `true` only says
+ * that the change happened by the current release, so any older release
+ * is unknown.
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {SimpleSupportStatement} statement The support statement
+ * @param {string} browser The browser identifier
+ * @param {string} version The release number
+ * @returns {SupportValue}
+ */
+const resolveStatement = (data, statement, browser, version) => {
+  const within = isWithinRange(
+    data,
+    browser,
+    version,
+    statement.version_added,
+    statement.version_removed,
+  );
+  return within === null ? 'unknown' : within ? 'supported' : 'unsupported';
+};
+
+/**
+ * Rank a support statement, lower is better: unrestricted support comes
+ * first, then support with a different name, then support behind flags,
+ * then unknown support and finally no support
+ *
+ * @param {SimpleSupportStatement} statement The support statement
+ * @param {SupportValue} support Whether the statement covers the release
+ * @returns {number}
+ */
+const rankStatement = (statement, support) => {
+  if (support === 'unknown') return 6;
+  if (support === 'unsupported') return 7;
+
+  let rank = 0;
+  if (statement.flags) {
+    rank += 4;
+  } else if (statement.prefix || statement.alternative_name) {
+    rank += 2;
+  }
+  if (statement.partial_implementation) {
+    rank += 1;
+  }
+  return rank;
+};
+
+/**
+ * Resolve whether a feature is supported in a release of a browser,
+ * given its compat statement
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {CompatStatement} compat The `__compat` block of the feature
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {string} version The release number (e.g. "80")
+ * @returns {SupportVerdict}
+ * @throws {Error} If the browser or release does not exist
+ */
+const resolveCompatSupport = (data, compat, browser, version) => {
+  getReleaseIndex(getReleaseOrder(data, browser), browser, String(version));
+
+  const supportStatement = compat.support[browser];
+  const statements = supportStatement
+    ? [].concat(supportStatement)
+    : [{ version_added: null }];
+
+  let best = null;
+  let bestRank = Infinity;
+  for (const statement of statements) {
+    const support = resolveStatement(data, statement, browser, version);
+    const rank = rankStatement(statement, support);
+    if (rank < bestRank) {
+      best = { statement, support };
+      bestRank = rank;
+    }
+  }
+
+  const isSupported = best.support === 'supported';
+  return {
+    support: best.support,
+    prefix: (isSupported && best.statement.prefix) || null,
+    alternative_name: (isSupported && best.statement.alternative_name) || null,
+    flags: (isSupported && best.statement.flags) || null,
+    partial_implementation:
+      isSupported && !!best.statement.partial_implementation,
+    statement: supportStatement ? best.statement : null,
+  };
+};
+
+/**
+ * Resolve whether a feature is supported in a release of a browser
+ *
+ * @param {CompatData} data The compat data to search
+ * @param {string} path The dotted identifier of the feature (e.g. "api.Request.referrerPolicy")
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {string} version The release number (e.g. "80")
+ * @returns {SupportVerdict}
+ * @throws {Error} If the feature, browser or release does not exist
+ */
+const resolveSupport = (data, path, browser, version) => {
+  const compat = query.get(data, path);
+  if (!compat) {
+    throw new Error(`"${path}" groups other features, but is not a feature`);
+  }
+
+  return resolveCompatSupport(data, compat, browser, version);
+};
+
+module.exports = { resolveCompatSupport, resolveSupport };
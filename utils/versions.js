@@ -0,0 +1,275 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+const {
+  getReleaseOrder,
+  getReleaseIndex,
+  getCurrentRelease,
+} = require('./releases.js');
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').VersionValue} VersionValue
+ *
+ * @typedef {'release' | 'ranged' | 'true' | 'false' | 'null'} VersionType
+ *
+ * @typedef {object} Version
+ * @property {VersionType} type What kind of value it is: a release number ("12.1"), a range ("≤37"), or `true`, `false` or `null`
+ * @property {string|null} release The release number of a release or range, or null for the other types
+ * @property {VersionValue} value The value which was parsed
+ *
+ * @typedef {object} Bounds
+ * @property {number} earliest The position of the earliest release the value may refer to
+ * @property {number} latest The position of the latest release the value may refer to
+ */
+
+/**
+ * The ranged values allowed for each browser, for releases before which
+ * the data of the browser can't be told apart
+ *
+ * @type {Record<string, string[]>}
+ */
+const VERSION_RANGES = {
+  webview_android: ['≤37'],
+  opera: ['≤12.1', '≤15'],
+  opera_android: ['≤12.1', '≤14'],
+  edge: ['≤18', '≤79'],
+};
+
+/**
+ * Parse a version value of a support statement
+ *
+ * @param {VersionValue} value The value of `version_added` or `version_removed`
+ * @returns {Version}
+ * @throws {TypeError} If the value is not a version value
+ */
+const parseVersion = value => {
+  if (value === true || value === false || value === null) {
+    return {
+      type: /** @type {VersionType} */ (String(value)),
+      release: null,
+      value,
+    };
+  }
+
+  const match =
+    typeof value === 'string' && value.match(/^(≤?)(\d+(?:\.\d+)*)$/);
+  if (!match) {
+    throw new TypeError(
+      `${JSON.stringify(
+        value,
+      )} is not a version value; use a release number such as "12.1", a range such as "≤37", true, false or null`,
+    );
+  }
+  return { type: match[1] ? 'ranged' : 'release', release: match[2], value };
+};
+
+/**
+ * Check whether a value is valid for a browser: `true`, `false`, `null`,
+ * one of its release numbers or one of its allowed ranges
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {VersionValue} value The value to check
+ * @returns {boolean}
+ * @throws {Error} If the browser does not exist
+ */
+const isValidVersion = (data, browser, value) => {
+  const order = getReleaseOrder(data, browser);
+
+  if (typeof value !== 'string') {
+    return [true, false, null].includes(value);
+  }
+  return (
+    order.includes(value) || (VERSION_RANGES[browser] || []).includes(value)
+  );
+};
+
+/**
+ * Get the position of the release of a release number or range
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier
+ * @param {Version} version The parsed value
+ * @returns {number}
+ * @throws {TypeError} If the value has no release
+ * @throws {Error} If the release does not exist
+ */
+const indexOf = (data, browser, version) => {
+  if (version.release === null) {
+    throw new TypeError(
+      `${version.value} is not a release number, so it can't be ordered`,
+    );
+  }
+  return getReleaseIndex(
+    getReleaseOrder(data, browser),
+    browser,
+    version.release,
+  );
+};
+
+/**
+ * Compare two release numbers or ranges in the release order of a browser.
+ * A range ("≤37") is ordered at its release, like a release number ("37").
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {VersionValue} a The first value
+ * @param {VersionValue} b The second value
+ * @returns {number} A negative number, zero or a positive number if `a` is before, at the same release as or after `b`
+ * @throws {TypeError} If a value is not a release number or range
+ * @throws {Error} If the browser or a release does not exist
+ */
+const compareVersions = (data, browser, a, b) =>
+  indexOf(data, browser, parseVersion(a)) -
+  indexOf(data, browser, parseVersion(b));
+
+/**
+ * Find the value at the earliest release among some values, ignoring values
+ * without a release (`true`, `false` and `null`)
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {VersionValue[]} values The values
+ * @returns {VersionValue|undefined} The earliest value, or undefined if none has a release
+ * @throws {Error} If the browser or a release does not exist
+ */
+const minVersion = (data, browser, values) =>
+  values
+    .filter(value => parseVersion(value).release !== null)
+    .reduce(
+      (min, value) =>
+        min === undefined || compareVersions(data, browser, value, min) < 0
+          ? value
+          : min,
+      undefined,
+    );
+
+/**
+ * Find the value at the latest release among some values, ignoring values
+ * without a release (`true`, `false` and `null`)
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {VersionValue[]} values The values
+ * @returns {VersionValue|undefined} The latest value, or undefined if none has a release
+ * @throws {Error} If the browser or a release does not exist
+ */
+const maxVersion = (data, browser, values) =>
+  values
+    .filter(value => parseVersion(value).release !== null)
+    .reduce(
+      (max, value) =>
+        max === undefined || compareVersions(data, browser, value, max) > 0
+          ? value
+          : max,
+      undefined,
+    );
+
+/**
+ * Get the positions of the releases a value may refer to.
+ *
+ * A release number refers to that release. A range ("≤37") refers to that
+ * release or any earlier one, and `true` to the current release or any
+ * earlier one. `null` may refer to any release, even one which hasn't been
+ * released yet, and `false` refers to none, so it's after all of them.
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier
+ * @param {VersionValue} value The value
+ * @returns {Bounds}
+ * @throws {Error} If the browser or the release does not exist
+ */
+const getBounds = (data, browser, value) => {
+  const version = parseVersion(value);
+
+  switch (version.type) {
+    case 'release': {
+      const index = indexOf(data, browser, version);
+      return { earliest: index, latest: index };
+    }
+    case 'ranged':
+      return { earliest: 0, latest: indexOf(data, browser, version) };
+    case 'true':
+      return {
+        earliest: 0,
+        latest: getReleaseOrder(data, browser).indexOf(
+          getCurrentRelease(data, browser),
+        ),
+      };
+    case 'false':
+      return { earliest: Infinity, latest: Infinity };
+    default:
+      return { earliest: 0, latest: Infinity };
+  }
+};
+
+/**
+ * Check whether a value refers to a release before the one of another value,
+ * whichever releases they refer to (e.g. "≤37" is definitely before "38",
+ * but not before "37")
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {VersionValue} a The first value
+ * @param {VersionValue} b The second value
+ * @returns {boolean}
+ * @throws {Error} If the browser or a release does not exist
+ */
+const isDefinitelyBefore = (data, browser, a, b) =>
+  getBounds(data, browser, a).latest < getBounds(data, browser, b).earliest;
+
+/**
+ * Check whether a release is within the range of a support statement,
+ * from `version_added` up to (but not including) `version_removed`
+ *
+ * @param {CompatData} data The compat data containing the browser
+ * @param {string} browser The browser identifier (e.g. "chrome")
+ * @param {string} version The release number (e.g. "80")
+ * @param {VersionValue} added The value of `version_added`
+ * @param {VersionValue} [removed] The value of `version_removed`, if any
+ * @returns {boolean|null} Whether the release is within the range, or null if the values can't tell
+ * @throws {Error} If the browser or a release does not exist
+ */
+const isWithinRange = (data, browser, version, added, removed) => {
+  const release = getReleaseIndex(
+    getReleaseOrder(data, browser),
+    browser,
+    String(version),
+  );
+
+  const addedBounds = getBounds(data, browser, added);
+  const isAdded =
+    release >= addedBounds.latest
+      ? true
+      : release < addedBounds.earliest
+      ? false
+      : null;
+
+  let isRemoved = false;
+  if (removed !== undefined && removed !== false) {
+    const removedBounds = getBounds(data, browser, removed);
+    isRemoved =
+      release >= removedBounds.latest
+        ? true
+        : release < removedBounds.earliest
+        ? false
+        : null;
+  }
+
+  if (isAdded === false || isRemoved === true) return false;
+  if (isAdded === true && isRemoved === false) return true;
+  return null;
+};
+
+module.exports = {
+  VERSION_RANGES,
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  minVersion,
+  maxVersion,
+  isDefinitelyBefore,
+  isWithinRange,
+};
@@ -0,0 +1,102 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+'use strict';
+
+/**
+ * @typedef {import('../types').CompatData} CompatData
+ * @typedef {import('../types').CompatStatement} CompatStatement
+ * @typedef {import('../types').Identifier} Identifier
+ *
+ * @typedef {object} WalkEntry
+ * @property {string} path The dotted identifier of the feature (e.g. "api.Request.referrerPolicy")
+ * @property {CompatStatement} compat The `__compat` block of the feature
+ * @property {string|null} parentPath The dotted identifier of the parent of the feature, or null if it has none
+ *
+ * @typedef {object} WalkOptions
+ * @property {string} [path] The dotted identifier of the root, if it isn't the root of the data
+ * @property {number} [depth] How many levels below the root to descend; the root itself is at depth 0
+ * @property {string[]} [categories] Only walk these categories
+ * @property {(entry: WalkEntry) => boolean} [filter] Only yield the features for which this returns true; their subfeatures are walked either way
+ */
+
+/**
+ * Join a dotted identifier and a key
+ *
+ * @param {string} path The dotted identifier, or the empty string for the root
+ * @param {string} key The key to append
+ * @returns {string}
+ */
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Iterate over the features below (and including) an identifier, parents
+ * before their subfeatures.
+ *
+ * The root can be the compat data itself, the contents of a single data
+ * file (whose top level keys are categories as well) or any identifier
+ * within them, named by `options.path`. The `browsers` namespace never
+ * contains features and is always skipped.
+ *
+ * @param {CompatData|Identifier} root The identifier to start from
+ * @param {WalkOptions} [options] Options
+ * @returns {IterableIterator<WalkEntry>}
+ */
+function* walk(root, { path = '', depth = Infinity, categories, filter } = {}) {
+  const category = path.split('.')[0];
+  if (
+    category === 'browsers' ||
+    (categories && path && !categories.includes(category))
+  ) {
+    return;
+  }
+
+  /**
+   * @param {Identifier} identifier
+   * @param {string} identifierPath
+   * @param {string|null} parentPath
+   * @param {number} level
+   * @returns {IterableIterator<WalkEntry>}
+   */
+  function* visit(identifier, identifierPath, parentPath, level) {
+    if (identifier.__compat) {
+      const entry = {
+        path: identifierPath,
+        compat: identifier.__compat,
+        parentPath,
+      };
+      if (!filter || filter(entry)) {
+        yield entry;
+      }
+    }
+    if (level >= depth) {
+      return;
+    }
+
+    for (const key of Object.keys(identifier)) {
+      const child = identifier[key];
+      if (key === '__compat' || !child || typeof child !== 'object') {
+        continue;
+      }
+      if (
+        !identifierPath &&
+        (key === 'browsers' || (categories && !categories.includes(key)))
+      ) {
+        continue;
+      }
+      yield* visit(
+        child,
+        join(identifierPath, key),
+        identifierPath || null,
+        level + 1,
+      );
+    }
+  }
+
+  const parentPath = path.includes('.')
+    ? path.slice(0, path.lastIndexOf('.'))
+    : null;
+  yield* visit(root, path, parentPath, 0);
+}
+
+module.exports = { walk };